@@ -0,0 +1,73 @@
+const AuditEvent = require("./../models/auditEventModel");
+const catchAsync = require("./../utils/catchAsync");
+const APIFeatures = require("./../utils/apiFeatures");
+const factory = require("./handlerFactory");
+
+const CSV_COLUMNS = [
+  "createdAt",
+  "action",
+  "actorId",
+  "actorEmail",
+  "actorRole",
+  "targetModel",
+  "targetId",
+  "ip",
+  "userAgent",
+  "changes",
+];
+
+const csvValue = (val) => {
+  if (val === undefined || val === null) return "";
+
+  const str = typeof val === "object" ? JSON.stringify(val) : `${val}`;
+  // quote everything that could break the row, and defuse spreadsheet formulas
+  const safe = /^[=+\-@]/.test(str) ? `'${str}` : str;
+  return /[",\r\n]/.test(safe) ? `"${safe.replace(/"/g, '""')}"` : safe;
+};
+
+const toCSVRow = (event) => {
+  const actor = event.actor || {};
+  const row = {
+    createdAt: event.createdAt && event.createdAt.toISOString(),
+    action: event.action,
+    actorId: actor._id,
+    actorEmail: actor.email,
+    actorRole: event.actorRole,
+    targetModel: event.targetModel,
+    targetId: event.targetId,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    changes: event.changes,
+  };
+
+  return CSV_COLUMNS.map((col) => csvValue(row[col])).join(",");
+};
+
+// ?action=tour.delete&actor=<id>&createdAt[gte]=2025-01-01
+exports.getAllAuditEvents = factory.getAll(AuditEvent);
+
+exports.getAuditEvent = factory.getOne(AuditEvent);
+
+exports.exportAuditEvents = catchAsync(async (req, res, next) => {
+  const limit = process.env.AUDIT_EXPORT_LIMIT * 1 || 10000;
+
+  const features = new APIFeatures(AuditEvent.find(), req.query)
+    .filter()
+    .sort();
+
+  res.status(200);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="audit-events-${Date.now()}.csv"`
+  );
+  res.write(`${CSV_COLUMNS.join(",")}\n`);
+
+  // stream the rows instead of loading the whole log in memory
+  const cursor = features.query.limit(limit).cursor();
+  for await (const event of cursor) {
+    res.write(`${toCSVRow(event)}\n`);
+  }
+
+  res.end();
+});
@@ -2,18 +2,38 @@ const crypto = require("crypto");
 const { promisify } = require("util");
 const jwt = require("jsonwebtoken");
 const User = require("./../models/userModel");
+const Session = require("./../models/sessionModel");
 const catchAsync = require("./../utils/catchAsync");
 const AppError = require("./../utils/appError");
 const Email = require("./../utils/email");
-
-const signToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const logger = require("./../utils/logging");
+const totp = require("./../utils/totp");
+const { hasPermission } = require("./../utils/permissions");
+const audit = require("./../utils/audit");
+const idempotent = require("./../utils/idempotency");
+const { validateBody } = require("./../utils/validation");
+
+const signToken = (id, sessionId) => {
+  return jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
   });
 };
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+const refreshCookieOptions = () => {
+  const cookieOptions = {
+    expires: new Date(
+      Date.now() +
+        (process.env.REFRESH_TOKEN_EXPIRES_IN || 30) * 24 * 60 * 60 * 1000
+    ),
+    httpOnly: true,
+    path: "/api/v1/auth",
+  };
+  if (process.env.NODE_ENV === "production") cookieOptions.secure = true;
+  return cookieOptions;
+};
+
+const sendTokens = (user, session, refreshToken, statusCode, res) => {
+  const token = signToken(user._id, session._id);
   const cookieOptions = {
     expires: new Date(
       Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
@@ -22,6 +42,7 @@ const createSendToken = (user, statusCode, res) => {
   };
   if (process.env.NODE_ENV === "production") cookieOptions.secure = true;
   res.cookie("jwt", token, cookieOptions);
+  res.cookie("refreshToken", refreshToken, refreshCookieOptions());
 
   // remove paassword from output
   user.password = undefined;
@@ -29,20 +50,173 @@ const createSendToken = (user, statusCode, res) => {
   res.status(statusCode).json({
     status: "success",
     token,
+    refreshToken,
     data: {
       user,
     },
   });
 };
 
-exports.signup = catchAsync(async (req, res, next) => {
+// starts a new session (device) and sends access + refresh token
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  sendTokens(user, session, refreshToken, statusCode, res);
+};
+
+// the pending token is signed with its own secret so it can never be
+// used as an access token
+const twoFactorSecret = () => `${process.env.JWT_SECRET}-2fa`;
+
+const signTwoFactorPendingToken = (id) =>
+  jwt.sign({ id }, twoFactorSecret(), { expiresIn: "5m" });
+
+// no session yet, the client continues at /login/2fa
+const sendTwoFactorPending = (user, res) => {
+  res.status(200).json({
+    status: "success",
+    twoFactorRequired: true,
+    pendingToken: signTwoFactorPendingToken(user._id),
+  });
+};
+
+const accountLockedError = (user) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / 60 / 1000);
+  return new AppError(
+    `Too many failed login attempts! Your account is locked, please try again in ${minutes} minutes.`,
+    423,
+    { code: "AUTH_ACCOUNT_LOCKED" }
+  );
+};
+
+// counts the failed attempt and tells the owner when the account gets locked
+const failLogin = async (user, req, message = "Invalid credentials") => {
+  const locked = user.registerFailedLogin();
+  await user.save({ validateBeforeSave: false });
+
+  if (!locked)
+    return new AppError(message, 401, { code: "AUTH_INVALID_CREDENTIALS" });
+
+  await audit.record(req, {
+    action: "auth.account-locked",
+    actor: user,
+    targetModel: "User",
+    targetId: user._id,
+  });
+
+  const url = `${req.protocol}://${req.get("host")}/api/v1/auth/forgotPassword`;
+  // the mailer logs failures, the lock holds either way
+  await new Email(user, url).sendAccountLocked().catch(() => {});
+
+  return accountLockedError(user);
+};
+
+const getRefreshToken = (req) =>
+  (req.body && req.body.refreshToken) || req.cookies.refreshToken;
+
+// also for new addresses set with updateMe
+const sendVerificationEmail = async (user, req) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyURL = `${req.protocol}://${req.get(
+    "host"
+  )}/api/v1/auth/verifyEmail/${verificationToken}`;
+
+  await new Email(user, verifyURL).sendEmailVerification();
+};
+
+exports.sendVerificationEmail = sendVerificationEmail;
+
+// new users always start as plain, unverified users
+exports.validateSignup = validateBody(User, {
+  allow: ["name", "email", "password", "passwordConfirm"],
+});
+
+const signup = catchAsync(async (req, res, next) => {
   const newUser = await User.create(req.body);
 
-  const url = `${req.protocol}://${req.get('host')}/me`;
-  
-  await new Email(newUser, url).sendWelcome();
+  // the user can still ask for a new email, so don't fail the signup (the
+  // mailer logs the failure)
+  await sendVerificationEmail(newUser, req).catch(() => {});
+
+  await createSendToken(newUser, 201, req, res);
+});
+
+// Mobile clients retry signups on flaky networks. A retry gets the new
+// user without the tokens of the first response, and has to log in.
+exports.signup = idempotent(signup);
+
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  // 1) get user based on the token
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+  if (!user) {
+    return next(
+      new AppError("token is invalid or has expired", 400, {
+        code: "EMAIL_TOKEN_INVALID",
+      })
+    );
+  }
+
+  // 2) mark the address as verified
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  // 3) now welcome the user
+  const url = `${req.protocol}://${req.get("host")}/me`;
+  // the mailer logs failures, the address is verified either way
+  await new Email(user, url).sendWelcome().catch(() => {});
+
+  res.status(200).json({
+    status: "success",
+    message: "Email address verified!",
+  });
+});
+
+exports.resendVerification = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
 
-  createSendToken(newUser, 201, res);
+  if (user.emailVerified) {
+    return next(
+      new AppError("Your email address is already verified.", 400, {
+        code: "EMAIL_ALREADY_VERIFIED",
+      })
+    );
+  }
+  if (!user.canResendVerification()) {
+    return next(
+      new AppError(
+        "A verification email was sent recently. Please try again later!",
+        429
+      )
+    );
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (err) {
+    return next(
+      new AppError(
+        "There was an error sending the email. Try again later!",
+        500,
+        { code: "EMAIL_SEND_FAILED" }
+      )
+    );
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Verification email sent!",
+  });
 });
 
 exports.login = catchAsync(async (req, res, next) => {
@@ -53,23 +227,173 @@ exports.login = catchAsync(async (req, res, next) => {
     return next(new AppError("please provide email and password !", 400));
   }
   // 2) check if the user exist && the password is correct
-  const user = await User.findOne({ email }).select("+password");
+  const user = await User.findOne({ email }).select(
+    "+password +failedLoginAttempts +lockCount +lockUntil"
+  );
+
+  if (!user) {
+    return next(
+      new AppError("Invalid credentials", 401, {
+        code: "AUTH_INVALID_CREDENTIALS",
+      })
+    );
+  }
+  if (user.isLocked()) {
+    return next(accountLockedError(user));
+  }
+  if (!(await user.correctPassword(password, user.password))) {
+    return next(await failLogin(user, req));
+  }
+
+  // 3) ask for the second factor before logging in
+  if (user.twoFactorEnabled) return sendTwoFactorPending(user, res);
+
+  // 4) if everything ok , send token to client
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+  await createSendToken(user, 200, req, res);
+});
+
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+  const { pendingToken, code, recoveryCode } = req.body;
+
+  // 1) check if pending token and a code exist
+  if (!pendingToken || !(code || recoveryCode)) {
+    return next(
+      new AppError(
+        "please provide the pendingToken and a code or recoveryCode !",
+        400
+      )
+    );
+  }
+
+  // 2) verify the pending token
+  let decoded;
+  try {
+    decoded = await promisify(jwt.verify)(pendingToken, twoFactorSecret());
+  } catch (err) {
+    return next(
+      new AppError("Your login has expired! Please login again.", 401, {
+        code: "AUTH_TOKEN_EXPIRED",
+      })
+    );
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactorSecret +twoFactorLastStep +twoFactorRecoveryCodes +failedLoginAttempts +lockCount +lockUntil"
+  );
+  if (!user || !user.twoFactorEnabled) {
+    return next(
+      new AppError("Invalid credentials", 401, {
+        code: "AUTH_INVALID_CREDENTIALS",
+      })
+    );
+  }
+  if (user.isLocked()) {
+    return next(accountLockedError(user));
+  }
 
-  if (!user || !(await user.correctPassword(password, user.password))) {
-    return next(new AppError("Invalid credentials", 401));
+  // 3) check the TOTP code or burn a recovery code
+  const valid = code
+    ? user.verifyTwoFactorCode(code)
+    : user.useTwoFactorRecoveryCode(recoveryCode);
+  if (!valid) {
+    return next(await failLogin(user, req, "Invalid two-factor code"));
   }
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
 
-  // 3) if everything ok , send token to client
-  createSendToken(user, 200, res);
+  // 4) if everything ok , send token to client
+  await createSendToken(user, 200, req, res);
 });
 
-exports.logout = (req, res) => {
+exports.refresh = catchAsync(async (req, res, next) => {
+  // 1) check if the refresh token is there
+  const refreshToken = getRefreshToken(req);
+  if (!refreshToken) {
+    return next(
+      new AppError("Please provide a refresh token", 401, {
+        code: "AUTH_REQUIRED",
+      })
+    );
+  }
+  const tokenHash = Session.hashToken(refreshToken);
+
+  // 2) find the session that currently owns the token
+  const session = await Session.findOne({ tokenHash }).select(
+    "+tokenHash +previousTokenHashes"
+  );
+
+  if (!session) {
+    // an already rotated token is used again: the family is compromised
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      await reused.revoke("reuse");
+      await audit.record(req, {
+        action: "auth.refresh-token-reuse",
+        actor: { _id: reused.user },
+        targetModel: "Session",
+        targetId: reused._id,
+      });
+      return next(
+        new AppError("Refresh token reuse detected! Please login again.", 401, {
+          code: "AUTH_REFRESH_TOKEN_REUSED",
+        })
+      );
+    }
+    return next(
+      new AppError("Invalid refresh token", 401, { code: "AUTH_TOKEN_INVALID" })
+    );
+  }
+
+  if (!session.isActive()) {
+    return next(
+      new AppError("Your session has expired! Please login again.", 401, {
+        code: "AUTH_SESSION_EXPIRED",
+      })
+    );
+  }
+
+  // 3) check if user still exists and did not change password since
+  const user = await User.findById(session.user);
+  if (!user) {
+    return next(
+      new AppError("The user does no longer exist.", 401, {
+        code: "AUTH_USER_GONE",
+      })
+    );
+  }
+  if (user.changedPasswordAfter(session.createdAt.getTime() / 1000)) {
+    await session.revoke("password-changed");
+    return next(
+      new AppError("User recently changed password! Please login again.", 401, {
+        code: "AUTH_PASSWORD_CHANGED",
+      })
+    );
+  }
+
+  // 4) rotate the refresh token and send new tokens
+  const newRefreshToken = await session.rotate(req);
+  sendTokens(user, session, newRefreshToken, 200, res);
+});
+
+exports.logout = catchAsync(async (req, res, next) => {
+  // end the server side session as well, when we know it
+  const refreshToken = getRefreshToken(req);
+  if (refreshToken) {
+    const session = await Session.findOne({
+      tokenHash: Session.hashToken(refreshToken),
+    });
+    if (session && session.isActive()) await session.revoke("logout");
+  }
+
   res.cookie('jwt', 'loggedout', {
     expires: new Date(Date.now() + 10 * 1000),
     httpOnly: true
   });
+  res.clearCookie("refreshToken", { path: "/api/v1/auth" });
   res.status(200).json({ status: 'success' });
-};
+});
 
 exports.protect = catchAsync(async (req, res, next) => {
   // 1) getting token and check if it's there
@@ -85,7 +409,9 @@ exports.protect = catchAsync(async (req, res, next) => {
 
   if (!token) {
     return next(
-      new AppError("Your are not logged in! please log in to get access", 401)
+      new AppError("Your are not logged in! please log in to get access", 401, {
+        code: "AUTH_REQUIRED",
+      })
     );
   }
   // 2) verification token
@@ -94,37 +420,107 @@ exports.protect = catchAsync(async (req, res, next) => {
   // 3) check if user still exists
   const currentUser = await User.findById(decoded.id);
   if (!currentUser) {
-    return next(new AppError("The user does no longer exist.", 401));
+    return next(
+      new AppError("The user does no longer exist.", 401, {
+        code: "AUTH_USER_GONE",
+      })
+    );
   }
   // 4) Check if user changed password after the token was issued
   if (currentUser.changedPasswordAfter(decoded.iat)) {
     return next(
-      new AppError("User recently changed password! Please login again.", 401)
+      new AppError("User recently changed password! Please login again.", 401, {
+        code: "AUTH_PASSWORD_CHANGED",
+      })
     );
   }
+  // 5) Check if the session of the token was not revoked
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+      return next(
+        new AppError("Your session has ended! Please login again.", 401, {
+          code: "AUTH_SESSION_EXPIRED",
+        })
+      );
+    }
+    req.sessionId = session.id;
+  }
+
   // GRANT ACCCESS TO PROTECTED ROUTE
   req.user = currentUser;
+  logger.assign({ userId: currentUser.id });
   next();
 });
 
-exports.restrictTo = (...roles) => {
+// Like protect, but anonymous requests and invalid tokens pass without a
+// req.user. For public routes that show more to logged in staff.
+exports.identify = (req, res, next) => {
+  const hasToken =
+    (req.headers.authorization &&
+      req.headers.authorization.startsWith("Bearer")) ||
+    req.cookies.jwt;
+  if (!hasToken) return next();
+
+  exports.protect(req, res, () => next());
+};
+
+// permissions are mapped to roles in utils/permissions.js, for `:own`
+// permissions the ownership is checked later on the loaded document
+exports.authorize = (permission) => {
   return (req, res, next) => {
-    // roles ['admin', 'lead-guide'] role='user'
-    if (!roles.includes(req.user.role)) {
+    if (!hasPermission(req.user, permission)) {
       return next(
         new AppError("You do not have permission to perform this action", 403)
       );
     }
 
+    // privileged roles can only act once they enabled 2FA
+    if (req.user.requiresTwoFactor() && !req.user.twoFactorEnabled) {
+      return next(
+        new AppError(
+          "Your role requires two-factor authentication. Please enable it at /api/v1/auth/2fa/setup",
+          403,
+          { code: "AUTH_2FA_REQUIRED" }
+        )
+      );
+    }
+
     next();
   };
 };
 
-exports.forgotPassword = catchAsync(async (req, res, next) => {
+// VERIFIED_EMAIL_REQUIRED_FOR lists the actions blocked until the user
+// verified the email address, e.g. "reviews,bookings" (default "reviews")
+exports.requireVerifiedEmail = (action) => {
+  return (req, res, next) => {
+    const actions = (process.env.VERIFIED_EMAIL_REQUIRED_FOR ?? "reviews")
+      .split(",")
+      .map((el) => el.trim());
+
+    if (actions.includes(action) && !req.user.emailVerified) {
+      return next(
+        new AppError(
+          "Please verify your email address first. You can request a new link at /api/v1/auth/resendVerification",
+          403,
+          { code: "EMAIL_NOT_VERIFIED" }
+        )
+      );
+    }
+
+    next();
+  };
+};
+
+const forgotPassword = catchAsync(async (req, res, next) => {
   // 1) Get user based on POSTed email
   const user = await User.findOne({ email: req.body.email });
   if (!user) {
-    return next(new AppError("There is no user with email address.", 404));
+    return next(
+      new AppError("There is no user with email address.", 404, {
+        code: "USER_NOT_FOUND",
+      })
+    );
   }
 
   // 2) Generate the random reset token
@@ -145,23 +541,28 @@ exports.forgotPassword = catchAsync(async (req, res, next) => {
       message: "Token sent to email!",
     });
   } catch (err) {
-    console.error("Email error:", err); // Debugging info
-
     user.passwordResetToken = undefined;
     user.passwordResetExpires = undefined;
     await user.save({ validateBeforeSave: false }).catch((saveErr) => {
-      console.error("Error saving user:", saveErr);
+      logger.error("Could not clear the password reset token", {
+        userId: user.id,
+        err: saveErr,
+      });
     });
 
     return next(
       new AppError(
         "There was an error sending the email. Try again later!",
-        500
+        500,
+        { code: "EMAIL_SEND_FAILED" }
       )
     );
   }
 });
 
+// a retry with the same Idempotency-Key doesn't send a second email
+exports.forgotPassword = idempotent(forgotPassword);
+
 exports.resetPassword = catchAsync(async (req, res, next) => {
   // 1) get user based on the token
   const hashedToken = crypto
@@ -175,7 +576,11 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   });
   // 2) if token is not expired and there is user set the new pass
   if (!user) {
-    return next(new AppError("token is invalid or has expired", 400));
+    return next(
+      new AppError("token is invalid or has expired", 400, {
+        code: "EMAIL_TOKEN_INVALID",
+      })
+    );
   }
   user.password = req.body.password;
   user.passwordConfirm = req.body.passwordConfirm;
@@ -184,8 +589,19 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
   await user.save();
 
   // 3) update changedPAsswordAt property for the user
-  // 4) log the user in , send JWT
-  createSendToken(user, 200, res);
+  // and sign out every device
+  await Session.revokeAllForUser(user._id, null, "password-reset");
+  await audit.record(req, {
+    action: "auth.password-reset",
+    actor: user,
+    targetModel: "User",
+    targetId: user._id,
+  });
+
+  // 4) log the user in , send JWT. The emailed link only proves the
+  // mailbox, so the second factor is still asked for.
+  if (user.twoFactorEnabled) return sendTwoFactorPending(user, res);
+  await createSendToken(user, 200, req, res);
 });
 
 exports.updatePassword = catchAsync(async (req, res, next) => {
@@ -194,7 +610,11 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
 
   // 2) check if POSTED paswword is correct
   if (!(await user.correctPassword(req.body.passwordCurrent, user.password))) {
-    return next(new AppError("Yor current password is wrong.", 401));
+    return next(
+      new AppError("Yor current password is wrong.", 401, {
+        code: "AUTH_INVALID_CREDENTIALS",
+      })
+    );
   }
 
   // 3) if so, update password
@@ -202,6 +622,147 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   user.passwordConfirm = req.body.passwordConfirm;
   await user.save();
 
-  // 4) log user in , send JWT
-  createSendToken(user, 200, res);
+  // 4) sign out the other devices, log user in , send JWT
+  await Session.revokeAllForUser(user._id, null, "password-changed");
+  await audit.record(req, {
+    action: "auth.password-change",
+    targetModel: "User",
+    targetId: user._id,
+  });
+  await createSendToken(user, 200, req, res);
+});
+
+exports.setupTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  if (user.twoFactorEnabled) {
+    return next(
+      new AppError("Two-factor authentication is already enabled.", 400)
+    );
+  }
+
+  // 1) generate a secret, it is only active after the first valid code
+  const secret = totp.generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  // 2) send it as otpauth URI, to be shown as QR code by the client
+  res.status(200).json({
+    status: "success",
+    data: {
+      secret,
+      otpauthUrl: totp.keyUri(
+        user.email,
+        process.env.TWO_FACTOR_ISSUER || "Natours",
+        secret
+      ),
+    },
+  });
+});
+
+exports.enableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorPendingSecret +twoFactorLastStep"
+  );
+
+  if (!user.twoFactorPendingSecret) {
+    return next(
+      new AppError("Please start at /api/v1/auth/2fa/setup first.", 400)
+    );
+  }
+
+  // 1) confirm the authenticator app is set up correctly
+  if (!user.verifyTwoFactorCode(req.body.code, user.twoFactorPendingSecret)) {
+    return next(
+      new AppError("Invalid two-factor code", 401, { code: "AUTH_2FA_INVALID" })
+    );
+  }
+
+  // 2) activate it and hand out the recovery codes once
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorEnabled = true;
+  const recoveryCodes = user.createTwoFactorRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  await audit.record(req, {
+    action: "auth.2fa-enable",
+    targetModel: "User",
+    targetId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+exports.disableTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorLastStep"
+  );
+
+  if (user.requiresTwoFactor()) {
+    return next(
+      new AppError("Your role requires two-factor authentication.", 403, {
+        code: "AUTH_2FA_REQUIRED",
+      })
+    );
+  }
+  if (!user.twoFactorEnabled) {
+    return next(new AppError("Two-factor authentication is not enabled.", 400));
+  }
+
+  // ask for both factors again
+  if (
+    !(await user.correctPassword(`${req.body.password}`, user.password)) ||
+    !user.verifyTwoFactorCode(req.body.code)
+  ) {
+    return next(
+      new AppError("Invalid credentials", 401, {
+        code: "AUTH_INVALID_CREDENTIALS",
+      })
+    );
+  }
+
+  user.resetTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  await audit.record(req, {
+    action: "auth.2fa-disable",
+    targetModel: "User",
+    targetId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication disabled",
+  });
+});
+
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorSecret +twoFactorLastStep"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(new AppError("Two-factor authentication is not enabled.", 400));
+  }
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(
+      new AppError("Invalid two-factor code", 401, { code: "AUTH_2FA_INVALID" })
+    );
+  }
+
+  // the old codes stop working
+  const recoveryCodes = user.createTwoFactorRecoveryCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      recoveryCodes,
+    },
+  });
 });
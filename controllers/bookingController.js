@@ -0,0 +1,286 @@
+const Tour = require("./../models/tourModel");
+const Booking = require("./../models/bookingModel");
+const catchAsync = require("./../utils/catchAsync");
+const AppError = require("./../utils/appError");
+const logger = require("./../utils/logging");
+const factory = require("./handlerFactory");
+const { validateBody } = require("./../utils/validation");
+const { getPaymentProvider } = require("./../utils/payments");
+
+const tourPrice = (tour) =>
+  tour.priceDiscount ? tour.price - tour.priceDiscount : tour.price;
+
+const findStartDate = (tour, startDate) => {
+  const wanted = new Date(startDate).getTime();
+  return tour.startDates.find((el) => el.date.getTime() === wanted);
+};
+
+// apply the provider's view of the session to the booking, a declined
+// booking gives its seats back when it's saved
+const syncBooking = async (booking, session) => {
+  if (booking.status !== "pending" || session.status === "pending") {
+    return booking;
+  }
+
+  booking.status = session.status;
+  if (session.status === "paid") booking.paidAt = Date.now();
+  await booking.save();
+
+  return booking;
+};
+
+// minutes a pending booking holds its seats, and its checkout session lasts
+const holdMinutes = () => process.env.BOOKING_HOLD_MINUTES * 1 || 30;
+
+exports.getCheckoutSession = catchAsync(async (req, res, next) => {
+  // 1) Get the currently booked tour
+  const tour = await Tour.findById(req.params.tourId);
+  if (!tour) {
+    return next(
+      new AppError("No tour found with that ID", 404, {
+        code: "TOUR_NOT_FOUND",
+      })
+    );
+  }
+
+  if (!req.body.startDate) {
+    return next(new AppError("Please provide the startDate to book", 400));
+  }
+  const startDate = findStartDate(tour, req.body.startDate);
+  if (!startDate) {
+    return next(new AppError("This tour does not start on that date", 400));
+  }
+
+  const participants = req.body.participants * 1 || 1;
+  if (!Number.isInteger(participants) || participants < 1) {
+    return next(new AppError("Participants must be a positive integer", 400));
+  }
+
+  // 2) Create a pending booking, which holds the seats. This fails when
+  // the date is (nearly) sold out
+  const provider = getPaymentProvider();
+  const booking = await Booking.create({
+    tour: tour.id,
+    user: req.user.id,
+    price: tourPrice(tour) * participants,
+    startDate: startDate.date,
+    participants,
+    provider: provider.name,
+  });
+
+  // 3) Create checkout session with the payment provider
+  let session;
+  try {
+    const baseURL = `${req.protocol}://${req.get("host")}`;
+
+    session = await provider.createCheckoutSession({
+      tour,
+      user: req.user,
+      price: booking.price,
+      successUrl: `${baseURL}/?booking=${booking.id}`,
+      cancelUrl: `${baseURL}/`,
+      reference: booking.id,
+      expiresAt: new Date(Date.now() + holdMinutes() * 60000),
+    });
+  } catch (err) {
+    logger.error("Payment provider error", { bookingId: booking.id, err });
+
+    // gives the seats back
+    await Booking.findByIdAndDelete(booking.id);
+    return next(
+      new AppError(
+        "There was an error creating the checkout session. Try again later!",
+        502,
+        { code: "PAYMENT_PROVIDER_ERROR" }
+      )
+    );
+  }
+
+  booking.sessionId = session.id;
+  await booking.save();
+
+  // 4) Send session to client
+  res.status(201).json({
+    status: "success",
+    session: {
+      id: session.id,
+      url: session.url,
+    },
+    data: {
+      booking,
+    },
+  });
+});
+
+exports.confirmCheckout = catchAsync(async (req, res, next) => {
+  const booking = await Booking.findOne({
+    sessionId: req.params.sessionId,
+    user: req.user.id,
+  });
+  if (!booking) {
+    return next(
+      new AppError("No booking found for that session", 404, {
+        code: "BOOKING_NOT_FOUND",
+      })
+    );
+  }
+
+  const session = await getPaymentProvider().retrieveSession(
+    req.params.sessionId
+  );
+  if (!session) {
+    return next(
+      new AppError("Checkout session not found", 404, {
+        code: "CHECKOUT_SESSION_NOT_FOUND",
+      })
+    );
+  }
+
+  await syncBooking(booking, session);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      booking,
+    },
+  });
+});
+
+// The fake gateway's "hosted checkout page" routes only exist while it is the
+// payment provider and only for the user's own bookings
+const fakeSessionBooking = async (req) => {
+  if (getPaymentProvider().name !== "fake") {
+    return new AppError(`Can't find ${req.originalUrl} on this server!`, 404, {
+      code: "ROUTE_NOT_FOUND",
+    });
+  }
+
+  const booking = await Booking.findOne({
+    sessionId: req.params.sessionId,
+    user: req.user.id,
+  });
+  if (!booking) {
+    return new AppError("No booking found for that session", 404, {
+      code: "BOOKING_NOT_FOUND",
+    });
+  }
+
+  return booking;
+};
+
+// Stands in for the hosted checkout page when the fake gateway is in use
+exports.getFakeSession = catchAsync(async (req, res, next) => {
+  const booking = await fakeSessionBooking(req);
+  if (booking instanceof AppError) return next(booking);
+
+  const { sessionId } = req.params;
+  const session = await getPaymentProvider().retrieveSession(sessionId);
+  if (!session) {
+    return next(
+      new AppError("Checkout session not found", 404, {
+        code: "CHECKOUT_SESSION_NOT_FOUND",
+      })
+    );
+  }
+
+  const url = `${req.baseUrl}/fake-gateway/${sessionId}`;
+  res.status(200).json({
+    status: "success",
+    data: {
+      session,
+      booking,
+      confirmUrl: `${url}/confirm`,
+      declineUrl: `${url}/decline`,
+    },
+  });
+});
+
+// Settles a fake gateway session the way paying or cancelling on the hosted
+// checkout page would
+exports.settleFakeSession = catchAsync(async (req, res, next) => {
+  const { sessionId, outcome } = req.params;
+  if (!["confirm", "decline"].includes(outcome)) {
+    return next(new AppError("Outcome is either: confirm, decline", 400));
+  }
+
+  const booking = await fakeSessionBooking(req);
+  if (booking instanceof AppError) return next(booking);
+
+  const session = getPaymentProvider()[outcome](sessionId);
+  if (!session) {
+    return next(new AppError("This checkout session is already settled", 400));
+  }
+
+  await syncBooking(booking, session);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      booking,
+    },
+  });
+});
+
+// Abandoned checkouts give their seats back: pending bookings older than
+// BOOKING_HOLD_MINUTES get the status of their session, which expires by
+// then, and are declined when the session was never created.
+exports.expirePendingBookings = async () => {
+  const provider = getPaymentProvider();
+  const bookings = await Booking.find({
+    status: "pending",
+    provider: provider.name,
+    createdAt: { $lt: Date.now() - holdMinutes() * 60000 },
+  });
+
+  await Promise.all(
+    bookings.map(async (booking) => {
+      try {
+        const session =
+          booking.sessionId &&
+          (await provider.retrieveSession(booking.sessionId));
+        await syncBooking(booking, session || { status: "declined" });
+      } catch (err) {
+        logger.error("Pending booking not expired", {
+          bookingId: booking.id,
+          err,
+        });
+      }
+    })
+  );
+};
+
+exports.getMyBookings = catchAsync(async (req, res, next) => {
+  const bookings = await Booking.find({ user: req.user.id }).sort(
+    "-createdAt"
+  );
+
+  res.status(200).json({
+    status: "success",
+    results: bookings.length,
+    data: {
+      bookings,
+    },
+  });
+});
+
+exports.getAllBookings = factory.getAll(Booking);
+
+exports.getBooking = factory.getOne(Booking);
+
+// the checkout session is only set by the payment flow
+const BOOKING_SERVER_FIELDS = ["sessionId", "createdAt"];
+
+exports.validateNewBooking = validateBody(Booking, {
+  deny: BOOKING_SERVER_FIELDS,
+});
+
+exports.validateBookingUpdate = validateBody(Booking, {
+  deny: BOOKING_SERVER_FIELDS,
+  partial: true,
+});
+
+exports.createBooking = factory.createOne(Booking);
+
+exports.updateBooking = factory.updateOne(Booking);
+
+exports.deleteBooking = factory.deleteOne(Booking);
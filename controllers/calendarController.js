@@ -0,0 +1,124 @@
+const Tour = require("./../models/tourModel");
+const User = require("./../models/userModel");
+const Booking = require("./../models/bookingModel");
+const catchAsync = require("./../utils/catchAsync");
+const AppError = require("./../utils/appError");
+const ical = require("./../utils/ical");
+
+const FEED_FIELDS = "name slug summary duration startLocation startDates";
+
+const hostOf = (req) => new URL(`${req.protocol}://${req.get("host")}`);
+
+const sendCalendar = (res, filename, name, events) => {
+  res.status(200);
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Content-Disposition", `inline; filename="${filename}.ics"`);
+  res.send(ical.calendar(name, events));
+};
+
+const departures = (tour) => (tour.startDates || []).map((el) => el.date);
+
+// /tours/:id/departures.ics, public
+exports.getTourDepartures = catchAsync(async (req, res, next) => {
+  const tour = await Tour.findById(req.params.id).select(FEED_FIELDS);
+
+  if (!tour) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "TOUR_NOT_FOUND",
+      })
+    );
+  }
+
+  sendCalendar(
+    res,
+    tour.slug,
+    `${tour.name} departures`,
+    ical.tourEvents(tour, departures(tour), hostOf(req))
+  );
+});
+
+// Calendar apps can't log in, so the personal feeds are behind a secret
+// token in the url. A new token replaces the old one.
+exports.createCalendarToken = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+  const token = user.createCalendarToken();
+  await user.save({ validateBeforeSave: false });
+
+  const base = `${hostOf(req).origin}/api/v1/users/calendar/${token}`;
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      feeds: {
+        bookings: `${base}/bookings.ics`,
+        guiding: `${base}/guiding.ics`,
+      },
+    },
+  });
+});
+
+exports.deleteCalendarToken = catchAsync(async (req, res, next) => {
+  await User.findByIdAndUpdate(req.user.id, { $unset: { calendarToken: 1 } });
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+const feedNotFound = () =>
+  new AppError("This calendar feed does not exist", 404, {
+    code: "CALENDAR_FEED_NOT_FOUND",
+  });
+
+// the departures the user booked and paid for
+exports.getBookingsFeed = catchAsync(async (req, res, next) => {
+  const user = await User.findByCalendarToken(req.params.token);
+  if (!user) return next(feedNotFound());
+
+  const bookings = await Booking.find({
+    user: user._id,
+    status: "paid",
+    startDate: { $exists: true },
+  });
+  // booked departures stay in the calendar if the tour is unpublished
+  // later, the populated tour is unpublished ones included
+  const tourIds = bookings.filter((el) => el.tour).map((el) => el.tour._id);
+  const tours = await Tour.find({ _id: { $in: tourIds } })
+    .select(FEED_FIELDS)
+    .setOptions({ includeUnpublished: true });
+
+  const host = hostOf(req);
+  const events = bookings.flatMap((booking) => {
+    const tour =
+      booking.tour && tours.find((el) => el._id.equals(booking.tour._id));
+    if (!tour) return [];
+
+    return ical.tourEvents(tour, [booking.startDate], host, {
+      description: `Booking for ${booking.participants} participant(s)`,
+    });
+  });
+
+  sendCalendar(res, "my-bookings", "My Natours bookings", events);
+});
+
+// the departures of every tour the user guides
+exports.getGuidingFeed = catchAsync(async (req, res, next) => {
+  const user = await User.findByCalendarToken(req.params.token);
+  if (!user) return next(feedNotFound());
+
+  const tours = await Tour.visibleTo(
+    Tour.find({ guides: user._id }),
+    user
+  ).select(FEED_FIELDS);
+
+  const host = hostOf(req);
+  const events = tours.flatMap((tour) =>
+    ical.tourEvents(tour, departures(tour), host, {
+      summary: `Guiding: ${tour.name}`,
+    })
+  );
+
+  sendCalendar(res, "guiding", "My Natours tours to guide", events);
+});
@@ -1,75 +1,153 @@
 const AppError = require('./../utils/appError');
+const { CODES, fieldCode } = require('./../utils/errorCodes');
+const logger = require('./../utils/logging');
 
 const handleCastErrorDB = (err) => {
   const message = `Invalid ${err.path}: ${err.value}.`;
-  return new AppError(message, 400);
+  return new AppError(message, 400, {
+    code: err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+    errors: [{ field: err.path, code: fieldCode('type'), message }],
+  });
 };
 
 const handleDuplicateFieldsDB = (err) => {
-  const value = err.errmsg.match(/(["'])(\\?.)*?\1/)[0];
+  const fields = Object.keys(err.keyValue || {});
+  const match = `${err.errmsg || err.message}`.match(/(["'])(\\?.)*?\1/);
+  const value = match ? match[0] : fields.join(', ');
 
   const message = `Duplicate field value: ${value}. Please use another value!`;
-  return new AppError(message, 400);
+  return new AppError(message, 400, {
+    code: 'DUPLICATE_VALUE',
+    errors: fields.map((field) => ({
+      field,
+      code: 'DUPLICATE',
+      message: `This ${field} is already taken`,
+    })),
+  });
 };
 
 const handleValidationErrorDB = (err) => {
-  const errors = Object.values(err.errors).map((el) => el.message);
+  const errors = Object.values(err.errors).map((el) => ({
+    field: el.path,
+    code: el.name === 'CastError' ? fieldCode('type') : fieldCode(el.kind),
+    message: el.message,
+  }));
 
-  const message = `Invalid input data. ${errors.join('. ')}`;
-  return new AppError(message, 400);
+  const message = `Invalid input data. ${errors
+    .map((el) => el.message)
+    .join('. ')}`;
+  return new AppError(message, 400, { code: 'VALIDATION_FAILED', errors });
 };
 
+// geometries MongoDB can't index or query, e.g. rings crossing themselves
+const GEO_ERROR = /geo keys|loop|polygon|geometry|edges/i;
+const isGeoErrorDB = (err) =>
+  err.name === 'MongoServerError' &&
+  [2, 16755].includes(err.code) &&
+  GEO_ERROR.test(err.message);
+
+const handleGeoErrorDB = (err) =>
+  new AppError(`Invalid geometry: ${err.message}`, 400, {
+    code: 'INVALID_GEOMETRY',
+  });
+
 const handleJWTError = () =>
-  new AppError('Invalid token. Please login again!', 401);
+  new AppError('Invalid token. Please login again!', 401, {
+    code: 'AUTH_TOKEN_INVALID',
+  });
 
 const handleJWTEpiredError = () =>
-  new AppError('Your token has Expired! Please login again!.', 401);
-
-const sendErrorDev = (err, res) => {
-  res.status(err.statusCode).json({
-    status: err.status,
-    error: err,
-    message: err.message,
-    stack: err.stack,
+  new AppError('Your token has Expired! Please login again!.', 401, {
+    code: 'AUTH_TOKEN_EXPIRED',
   });
-};
 
-const sendErrorProd = (err, res) => {
-  // Operational, trusted error: send message to client
-  if (err.isOperational) {
-    res.status(err.statusCode).json({
-      status: err.status,
-      message: err.message,
+// errors of the body parser and other http-errors
+const handleHttpError = (err) => {
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('The request body is not valid JSON.', 400, {
+      code: 'INVALID_JSON',
     });
+  }
+  return new AppError(err.message, err.statusCode);
+};
 
-    // Programming or other unknown error: don't leak error details
-  } else {
-    // 1) Log error
-    console.error('ERROR 💥', err);
+// turns known errors of the libraries into AppErrors, unknown ones are
+// programming errors and stay as they are
+const normalize = (err) => {
+  if (err instanceof AppError) return err;
 
-    // 2) Send generic message
-    res.status(500).json({
-      status: 'error',
-      message: 'Something went very wrong!',
-    });
+  if (err.name === 'CastError') return handleCastErrorDB(err);
+  if (err.code === 11000) return handleDuplicateFieldsDB(err);
+  if (err.name === 'ValidationError') return handleValidationErrorDB(err);
+  if (isGeoErrorDB(err)) return handleGeoErrorDB(err);
+  if (err.name === 'JsonWebTokenError') return handleJWTError();
+  if (err.name === 'TokenExpiredError') return handleJWTEpiredError();
+  if (err.name === 'MulterError') return new AppError(err.message, 400);
+  if (err.expose && err.statusCode < 500) return handleHttpError(err);
+  return err;
+};
+
+// Clients pick RFC 7807 problem details with
+// `Accept: application/problem+json`, everyone else gets the usual shape.
+const wantsProblem = (req) =>
+  req.accepts(['application/json', 'application/problem+json']) ===
+  'application/problem+json';
+
+const sendError = (error, err, req, res, { details }) => {
+  const { statusCode, code, message, errors } = error;
+  // for the request log line
+  res.locals.errorCode = code;
+
+  if (wantsProblem(req)) {
+    res
+      .status(statusCode)
+      .type('application/problem+json')
+      .json({
+        type: `urn:natours:error:${code}`,
+        title: (CODES[code] || CODES.INTERNAL_ERROR).title,
+        status: statusCode,
+        detail: message,
+        instance: req.originalUrl,
+        code,
+        requestId: req.id,
+        ...(errors && { errors }),
+        ...(details && { stack: err.stack }),
+      });
+    return;
   }
+
+  res.status(statusCode).json({
+    status: error.status,
+    code,
+    message,
+    requestId: req.id,
+    ...(errors && { errors }),
+    ...(details && { error: err, stack: err.stack }),
+  });
 };
 
 module.exports = (err, req, res, next) => {
-  err.statusCode = err.statusCode || 500;
-  err.status = err.status || 'error';
-
-  if (process.env.NODE_ENV === 'development') {
-    sendErrorDev(err, res);
-  } else if (process.env.NODE_ENV === 'production') {
-    let error = { ...err };
-
-    if (error.name === 'CastError') error = handleCastErrorDB(error);
-    if (error.code === 11000) error = handleDuplicateFieldsDB(error);
-    if (error.name === 'ValidationError')
-      error = handleValidationErrorDB(error);
-    if (error.name === 'JsonWebTokenError') error = handleJWTError();
-    if (error.name === 'TokenExpiredError') error = handleJWTEpiredError();
-    sendErrorProd(error, res);
+  // too late for an error response, let express end the connection
+  if (res.headersSent) return next(err);
+
+  const error = normalize(err);
+  const details = process.env.NODE_ENV === 'development';
+
+  // Operational, trusted error: send message to client
+  if (error.isOperational) {
+    // failures on our side (email, payment provider) are worth a look
+    if (error.statusCode >= 500) logger.error(error.message, { err });
+    return sendError(error, err, req, res, { details });
   }
+
+  // Programming or other unknown error: don't leak error details
+  logger.error('ERROR 💥', { err });
+
+  sendError(
+    new AppError(details ? err.message : 'Something went very wrong!', 500),
+    err,
+    req,
+    res,
+    { details },
+  );
 };
@@ -1,32 +1,167 @@
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const APIFeatures = require('./../utils/apiFeatures');
+const { can } = require('./../utils/permissions');
+const audit = require('./../utils/audit');
+const { etag } = require('./../utils/versioning');
+const idempotent = require('./../utils/idempotency');
+const { notFoundCode } = require('./../utils/errorCodes');
 
-exports.deleteOne = (Model) =>
+// lets models hide documents from some users, e.g. unpublished tours
+const scoped = (Model, query, req) =>
+  Model.visibleTo ? Model.visibleTo(query, req.user) : query;
+
+// If-Match holds the ETags the client's copy may have, or *
+const preconditionFails = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header) return false;
+  return !header
+    .split(',')
+    .map((el) => el.trim())
+    .some((el) => el === '*' || el === etag(doc));
+};
+
+const notFound = (Model) =>
+  new AppError('No Document found with that ID', 404, {
+    code: notFoundCode(Model.modelName),
+  });
+
+const preconditionFailed = () =>
+  new AppError(
+    'The document was changed since you fetched it, fetch it again and retry',
+    412,
+    { code: 'DOCUMENT_CHANGED' },
+  );
+
+// With If-Match the write only applies to the version checked before, so
+// an edit in between still fails instead of being overwritten.
+const writeFilter = (req, before) => {
+  const filter = { _id: req.params.id };
+  if (req.get('If-Match')) filter.__v = before.get('__v');
+  return filter;
+};
+
+// loads the current document, to check ownership, the version and for the
+// audit log
+const findForWrite = async (Model, permission, req) => {
+  const doc = await scoped(Model, Model.findById(req.params.id), req);
+  if (!doc) {
+    return { err: notFound(Model) };
+  }
+
+  if (permission && !can(req.user, permission, doc)) {
+    return {
+      err: new AppError(
+        'You do not have permission to perform this action',
+        403,
+      ),
+    };
+  }
+
+  if (preconditionFails(req, doc)) return { err: preconditionFailed() };
+  return { doc };
+};
+
+// next/prev links keep the other query parameters
+const pageLinks = (req, meta) => {
+  const link = (params) => {
+    const url = new URL(
+      req.originalUrl,
+      `${req.protocol}://${req.get('host')}`,
+    );
+    Object.entries(params).forEach(([key, val]) => {
+      if (val === undefined) url.searchParams.delete(key);
+      else url.searchParams.set(key, val);
+    });
+    return url.toString();
+  };
+
+  const links = {};
+  if (meta.page) {
+    if (meta.page < meta.totalPages) {
+      links.next = link({ page: meta.page + 1 });
+    }
+    if (meta.page > 1) links.prev = link({ page: meta.page - 1 });
+  } else {
+    const cursorParams = { pagination: undefined, page: undefined };
+    if (meta.nextCursor) {
+      links.next = link({ ...cursorParams, cursor: meta.nextCursor });
+    }
+    if (meta.prevCursor) {
+      links.prev = link({ ...cursorParams, cursor: meta.prevCursor });
+    }
+  }
+  return links;
+};
+
+const auditAction = (Model, verb) => `${Model.modelName.toLowerCase()}.${verb}`;
+
+exports.deleteOne = (Model, permission) =>
   catchAsync(async (req, res, next) => {
-    const doc = await Model.findByIdAndDelete(req.params.id);
+    const { doc: before, err } = await findForWrite(Model, permission, req);
+    if (err) return next(err);
+
+    const doc = await scoped(
+      Model,
+      Model.findOneAndDelete(writeFilter(req, before)),
+      req,
+    );
 
     if (!doc) {
-      return next(new AppError('No Document found with that ID', 404));
+      if (req.get('If-Match')) return next(preconditionFailed());
+      return next(notFound(Model));
     }
 
+    await audit.record(req, {
+      action: auditAction(Model, 'delete'),
+      targetModel: Model.modelName,
+      targetId: doc._id,
+      before,
+    });
+
     res.status(204).json({
       status: 'success',
       data: null,
     });
   });
 
-exports.updateOne = (Model) =>
+exports.updateOne = (Model, permission) =>
   catchAsync(async (req, res, next) => {
-    const doc = await Model.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    });
+    const { doc: before, err } = await findForWrite(Model, permission, req);
+    if (err) return next(err);
+
+    const doc = await scoped(
+      Model,
+      Model.findOneAndUpdate(writeFilter(req, before), req.body, {
+        new: true,
+        runValidators: true,
+      }),
+      req,
+    );
 
     if (!doc) {
-      return next(new AppError('No Document found with that ID', 404));
+      // still there: a concurrent write made the update miss, e.g. a seat
+      // sold while the start dates of a tour were edited
+      const exists =
+        req.get('If-Match') ||
+        (await scoped(Model, Model.exists({ _id: req.params.id }), req));
+      if (exists) return next(preconditionFailed());
+      return next(notFound(Model));
+    }
+
+    if (Model.recordRevision) {
+      await Model.recordRevision(req, { doc, before, action: 'update' });
     }
 
+    await audit.record(req, {
+      action: auditAction(Model, 'update'),
+      targetModel: Model.modelName,
+      targetId: doc._id,
+      before,
+      after: doc,
+    });
+
+    res.set('ETag', etag(doc));
     res.status(200).json({
       status: 'success',
       data: {
@@ -35,28 +170,47 @@ exports.updateOne = (Model) =>
     });
   });
 
+// retries with the same Idempotency-Key don't create duplicates
 exports.createOne = (Model) =>
-  catchAsync(async (req, res, next) => {
-    const doc = await Model.create(req.body);
+  idempotent(
+    catchAsync(async (req, res, next) => {
+      const doc = await Model.create(req.body);
 
-    res.status(201).json({
-      status: 'success',
-      data: {
-        data: doc,
-      },
-    });
-  });
+      if (Model.recordRevision) {
+        await Model.recordRevision(req, { doc, action: 'create' });
+      }
+
+      await audit.record(req, {
+        action: auditAction(Model, 'create'),
+        targetModel: Model.modelName,
+        targetId: doc._id,
+        after: doc,
+      });
+
+      res.set('ETag', etag(doc));
+      res.status(201).json({
+        status: 'success',
+        data: {
+          data: doc,
+        },
+      });
+    }),
+  );
 
 exports.getOne = (Model, popOptions) =>
   catchAsync(async (req, res, next) => {
-    let query = Model.findById(req.params.id);
+    let query = scoped(Model, Model.findById(req.params.id), req);
     if (popOptions) query = query.populate(popOptions);
     const doc = await query;
 
     if (!doc) {
-      return next(new AppError('No Document found with that ID', 404));
+      return next(notFound(Model));
     }
 
+    // If-None-Match with the current ETag: the client's copy is up to date
+    res.set('ETag', etag(doc));
+    if (req.fresh) return res.status(304).end();
+
     res.status(200).json({
       status: 'success',
       data: {
@@ -71,19 +225,27 @@ exports.getAll = (Model) =>
     let filter = {};
     if(req.params.tourId) filter ={tour: req.params.tourId};
 
-    const features = new APIFeatures(Model.find(filter), req.query)
+    const features = new APIFeatures(
+      scoped(Model, Model.find(filter), req),
+      req.query,
+    )
       .filter()
       .sort()
       .limitFields()
       .paginate();
 
     /* const doc = await features.query.explain(); */
-    const doc = await features.query;
+    const [{ docs: doc, meta }, facets] = await Promise.all([
+      features.execute(),
+      req.query.facets ? features.facets() : undefined,
+    ]);
 
     // SEND RESPONSE
     res.status(200).json({
       status: 'success',
       results: doc.length,
+      meta: { ...meta, links: pageLinks(req, meta) },
+      ...(facets && { facets }),
       data: {
         data: doc,
       },
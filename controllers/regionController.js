@@ -0,0 +1,24 @@
+const Region = require("./../models/regionModel");
+const factory = require("./handlerFactory");
+const { validateBody } = require("./../utils/validation");
+
+const REGION_SERVER_FIELDS = ["slug", "createdAt"];
+
+exports.getAllRegions = factory.getAll(Region);
+
+exports.getRegion = factory.getOne(Region);
+
+exports.validateNewRegion = validateBody(Region, {
+  deny: REGION_SERVER_FIELDS,
+});
+
+exports.validateRegionUpdate = validateBody(Region, {
+  deny: REGION_SERVER_FIELDS,
+  partial: true,
+});
+
+exports.createRegion = factory.createOne(Region);
+
+exports.updateRegion = factory.updateOne(Region);
+
+exports.deleteRegion = factory.deleteOne(Region);
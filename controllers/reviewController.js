@@ -1,5 +1,6 @@
 const Review = require('./../models/reviewModel');
 const factory = require('./handlerFactory');
+const { validateBody } = require('./../utils/validation');
 //const catchAsync = require('./../utils/catchAsync');
 
 
@@ -10,12 +11,22 @@ exports.setTourUserIds = (req, res, next) => {
   next();
 };
 
+// the user is always the logged in one, see setTourUserIds
+exports.validateNewReview = validateBody(Review, {
+  allow: ['review', 'rating', 'tour'],
+});
+
+exports.validateReviewUpdate = validateBody(Review, {
+  allow: ['review', 'rating'],
+  partial: true,
+});
+
 exports.getAllReviews = factory.getAll(Review);
 
 exports.getReview = factory.getOne(Review);
 
 exports.createReview = factory.createOne(Review);
 
-exports.updateReview = factory.updateOne(Review);
+exports.updateReview = factory.updateOne(Review, 'review:update');
 
-exports.deleteReview = factory.deleteOne(Review);
\ No newline at end of file
+exports.deleteReview = factory.deleteOne(Review, 'review:delete');
\ No newline at end of file
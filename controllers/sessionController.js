@@ -0,0 +1,59 @@
+const Session = require("./../models/sessionModel");
+const catchAsync = require("./../utils/catchAsync");
+const AppError = require("./../utils/appError");
+
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user.id,
+    revokedAt: { $exists: false },
+    expiresAt: { $gt: Date.now() },
+  })
+    .select("-__v")
+    .sort("-lastUsedAt")
+    .lean();
+
+  // flag the device the request comes from
+  sessions.forEach((session) => {
+    session.current = `${session._id}` === req.sessionId;
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: sessions.length,
+    data: {
+      sessions,
+    },
+  });
+});
+
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user.id,
+  });
+
+  if (!session || !session.isActive()) {
+    return next(
+      new AppError("No active session found with that ID", 404, {
+        code: "SESSION_NOT_FOUND",
+      })
+    );
+  }
+
+  await session.revoke("user");
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+// sign out everywhere except the current device
+exports.revokeOtherSessions = catchAsync(async (req, res, next) => {
+  await Session.revokeAllForUser(req.user.id, req.sessionId, "user");
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
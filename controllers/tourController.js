@@ -1,9 +1,17 @@
 const multer = require("multer");
 const sharp = require("sharp");
 const Tour = require("./../models/tourModel");
+const Region = require("./../models/regionModel");
 const catchAsync = require("./../utils/catchAsync");
 const factory = require("./handlerFactory");
 const AppError = require("./../utils/appError");
+const audit = require("./../utils/audit");
+const { can } = require("./../utils/permissions");
+const APIFeatures = require("./../utils/apiFeatures");
+const search = require("./../utils/search");
+const geo = require("./../utils/geo");
+const itineraryExport = require("./../utils/itineraryExport");
+const { validateBody } = require("./../utils/validation");
 
 const multerStorage = multer.memoryStorage();
 
@@ -69,11 +77,349 @@ exports.getAllTours = factory.getAll(Tour);
 // responding to url parameters
 exports.getTour = factory.getOne(Tour, { path: "reviews" });
 
+// lead-guides can only manage their own tours, so make them a guide of it
+exports.setCreatorAsGuide = (req, res, next) => {
+  if (!can(req.user, "tour:update")) {
+    const guides = [].concat(req.body.guides || []);
+    if (!guides.includes(req.user.id)) guides.push(req.user.id);
+    req.body.guides = guides;
+  }
+  next();
+};
+
+// the status only changes through PATCH /:id/status, so it can be checked
+exports.rejectStatusFields = (req, res, next) => {
+  const fields = ["status", "publishAt", "unpublishAt"].filter(
+    (el) => req.body[el] !== undefined
+  );
+  if (fields.length) {
+    return next(
+      new AppError(
+        `Please use /tours/:id/status to change ${fields.join(", ")}`,
+        400
+      )
+    );
+  }
+  next();
+};
+
+// managed by the server, clients can't send them
+const TOUR_SERVER_FIELDS = [
+  "slug",
+  "ratingsAverage",
+  "ratingsQuantity",
+  "createdAt",
+  "status",
+  "publishAt",
+  "unpublishAt",
+  "startDates.seatsSold",
+  "startDates.soldOut",
+];
+
+exports.validateNewTour = validateBody(Tour, { deny: TOUR_SERVER_FIELDS });
+
+exports.validateTourUpdate = validateBody(Tour, {
+  deny: TOUR_SERVER_FIELDS,
+  partial: true,
+});
+
 exports.createTour = factory.createOne(Tour);
 
-exports.updateTour = factory.updateOne(Tour);
+exports.updateTour = factory.updateOne(Tour, "tour:update");
+
+exports.deleteTour = factory.deleteOne(Tour, "tour:delete");
+
+// { status, publishAt, unpublishAt }. Guides of the tour can move it between
+// draft and in-review, publishing, archiving and scheduling need tour:publish.
+exports.updateTourStatus = catchAsync(async (req, res, next) => {
+  const tour = await Tour.visibleTo(Tour.findById(req.params.id), req.user);
+  if (!tour) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "TOUR_NOT_FOUND",
+      })
+    );
+  }
+
+  const { status = tour.status, publishAt, unpublishAt } = req.body;
+  const allowed = Tour.STATUS_TRANSITIONS[tour.status] || [];
+  if (status !== tour.status && !allowed.includes(status)) {
+    return next(
+      new AppError(
+        `A ${tour.status} tour can only become ${allowed.join(" or ")}`,
+        400,
+        { code: "TOUR_STATUS_TRANSITION_INVALID" }
+      )
+    );
+  }
+
+  const reviewOnly = [tour.status, status].every((el) =>
+    ["draft", "in-review"].includes(el)
+  );
+  const schedules = publishAt !== undefined || unpublishAt !== undefined;
+  const permitted =
+    reviewOnly && !schedules
+      ? can(req.user, "tour:update", tour)
+      : can(req.user, "tour:publish", tour);
+  if (!permitted) {
+    return next(
+      new AppError("You do not have permission to perform this action", 403)
+    );
+  }
+
+  const before = tour.toObject();
+  tour.status = status;
+  // null clears the schedule
+  if (publishAt !== undefined) tour.publishAt = publishAt;
+  if (unpublishAt !== undefined) tour.unpublishAt = unpublishAt;
+  await tour.save();
+
+  await audit.record(req, {
+    action: "tour.status",
+    targetModel: "Tour",
+    targetId: tour._id,
+    before,
+    after: tour,
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: tour,
+    },
+  });
+});
+
+const SEARCH_WEIGHTS = { name: 10, summary: 5, description: 1 };
+const SEARCH_FIELDS = Object.keys(SEARCH_WEIGHTS);
+const MAX_SEARCH_CANDIDATES = 500;
+
+// /search?q=forest hikr&difficulty=easy&page=2
+// Ordered by relevance unless `sort` is given, filters, fields and
+// pagination work like on getAllTours.
+exports.searchTours = catchAsync(async (req, res, next) => {
+  const terms = search.tokenize(req.query.q);
+  if (!terms.length) {
+    return next(new AppError("Please provide a search query with ?q=", 400));
+  }
+
+  // 1) find the candidates: the weighted text index catches stemmed words,
+  // the fuzzy conditions catch typos. Both respect the other filters.
+  const filter = new APIFeatures(Tour.find(), req.query)
+    .filter(["q"])
+    .query.getFilter();
+  const select = SEARCH_FIELDS.join(" ");
+
+  const [textMatches, fuzzyMatches] = await Promise.all([
+    Tour.find(
+      { ...filter, $text: { $search: terms.join(" ") } },
+      { textScore: { $meta: "textScore" } }
+    )
+      .select(select)
+      .limit(MAX_SEARCH_CANDIDATES)
+      .lean(),
+    Tour.find({
+      ...filter,
+      $or: search.fuzzyConditions(terms, SEARCH_FIELDS),
+    })
+      .select(select)
+      .limit(MAX_SEARCH_CANDIDATES)
+      .lean(),
+  ]);
+
+  // 2) score them
+  const candidates = new Map();
+  [...textMatches, ...fuzzyMatches].forEach((doc) => {
+    const id = `${doc._id}`;
+    const prev = candidates.get(id);
+    const score =
+      search.score(doc, terms, SEARCH_WEIGHTS) +
+      (doc.textScore || (prev && prev.textScore) || 0);
+
+    if (score > 0) {
+      candidates.set(id, {
+        id,
+        textScore: doc.textScore || (prev && prev.textScore),
+        score: Math.round(score * 100) / 100,
+        highlights: search.highlight(doc, terms, SEARCH_FIELDS),
+      });
+    }
+  });
+  const matches = [...candidates.values()];
+
+  // 3) order and paginate, by relevance or by the requested sort
+  const page = APIFeatures.pageNumber(req.query);
+  const limit = APIFeatures.pageSize(req.query);
+  let ids = matches.map((el) => el.id);
+
+  if (!req.query.sort) {
+    ids = matches
+      .sort((a, b) => b.score - a.score)
+      .slice((page - 1) * limit, page * limit)
+      .map((el) => el.id);
+  }
+
+  let features = new APIFeatures(
+    Tour.find({ _id: { $in: ids } }),
+    req.query
+  ).limitFields();
+  if (req.query.sort) features = features.sort().paginate();
+
+  const docs = await features.query;
+  if (!req.query.sort) {
+    docs.sort((a, b) => ids.indexOf(a.id) - ids.indexOf(b.id));
+  }
+
+  const tours = docs.map((doc) => {
+    const { score, highlights } = candidates.get(doc.id);
+    return { ...doc.toJSON(), score, highlights };
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: tours.length,
+    total: matches.length,
+    data: {
+      tours,
+    },
+  });
+});
+
+const DAY = 24 * 60 * 60 * 1000;
+const AVAILABILITY_FIELDS = [
+  "name",
+  "slug",
+  "duration",
+  "difficulty",
+  "price",
+  "ratingsAverage",
+  "summary",
+  "imageCover",
+];
+
+// /available?from=2021-06-10&to=2021-06-20&participants=4&difficulty=easy
+// Tours starting and ending inside the window with enough free seats,
+// with the matching departures. The usual filters, `page` and `limit` apply.
+exports.getAvailableTours = catchAsync(async (req, res, next) => {
+  const from = new Date(req.query.from);
+  const to = new Date(req.query.to);
+  const participants = req.query.participants
+    ? req.query.participants * 1
+    : 1;
+
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return next(
+      new AppError(
+        "Please provide a date window with ?from=YYYY-MM-DD&to=YYYY-MM-DD",
+        400
+      )
+    );
+  }
+  if (from > to) {
+    return next(new AppError("The window has to start before it ends", 400));
+  }
+  if (!Number.isInteger(participants) || participants < 1) {
+    return next(
+      new AppError("Participants must be a whole number above 0", 400)
+    );
+  }
+
+  // a departure on the last day still counts
+  to.setUTCHours(23, 59, 59, 999);
+  // nothing that already left
+  const start = new Date(Math.max(from, Date.now()));
+
+  const filter = new APIFeatures(Tour.find(), req.query)
+    .filter(["from", "to", "participants"])
+    .query.getFilter();
+  const page = APIFeatures.pageNumber(req.query);
+  const limit = APIFeatures.pageSize(req.query);
+
+  const [result] = await Tour.aggregate([
+    {
+      $match: {
+        ...filter,
+        startDates: {
+          $elemMatch: {
+            date: { $gte: start, $lte: to },
+            soldOut: { $ne: true },
+          },
+        },
+      },
+    },
+    {
+      $addFields: {
+        departures: {
+          $filter: {
+            input: "$startDates",
+            as: "el",
+            cond: {
+              $and: [
+                { $gte: ["$$el.date", start] },
+                // the last day of the tour is inside the window too
+                {
+                  $lte: [
+                    {
+                      $add: [
+                        "$$el.date",
+                        { $multiply: [{ $subtract: ["$duration", 1] }, DAY] },
+                      ],
+                    },
+                    to,
+                  ],
+                },
+                {
+                  $gte: [
+                    { $subtract: ["$$el.capacity", "$$el.seatsSold"] },
+                    participants,
+                  ],
+                },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $match: { "departures.0": { $exists: true } } },
+    // by the earliest matching departure
+    { $sort: { "departures.date": 1, _id: 1 } },
+    {
+      $project: {
+        ...Object.fromEntries(AVAILABILITY_FIELDS.map((el) => [el, 1])),
+        departures: {
+          $map: {
+            input: "$departures",
+            as: "el",
+            in: {
+              date: "$$el.date",
+              seatsAvailable: {
+                $subtract: ["$$el.capacity", "$$el.seatsSold"],
+              },
+            },
+          },
+        },
+      },
+    },
+    {
+      $facet: {
+        tours: [{ $skip: (page - 1) * limit }, { $limit: limit }],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const { tours } = result;
+  const total = result.total.length ? result.total[0].count : 0;
 
-exports.deleteTour = factory.deleteOne(Tour);
+  res.status(200).json({
+    status: "success",
+    results: tours.length,
+    total,
+    data: {
+      tours,
+    },
+  });
+});
 
 exports.getTourStats = catchAsync(async (req, res, next) => {
   const stats = await Tour.aggregate([
@@ -116,7 +462,7 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
     },
     {
       $match: {
-        startDates: {
+        "startDates.date": {
           $gte: new Date(`${year}-01-01`),
           $lte: new Date(`${year}-12-31`),
         },
@@ -124,7 +470,7 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
     },
     {
       $group: {
-        _id: { $month: "$startDates" },
+        _id: { $month: "$startDates.date" },
         numTourStarts: { $sum: 1 },
         tours: { $push: "$name" },
       },
@@ -153,26 +499,80 @@ exports.getMonthlyPlan = catchAsync(async (req, res, next) => {
   });
 });
 
+const EARTH_RADIUS = { mi: 3963.2, km: 6378.1 };
+const METERS_PER_UNIT = { mi: 1609.344, km: 1000 };
+
+const latLngError = () =>
+  new AppError(
+    "Please provide latitude and longitude in the format lat,lng, with lat from -90 to 90 and lng from -180 to 180.",
+    400
+  );
+
+const unitError = () =>
+  new AppError("Please provide the unit as mi or km.", 400);
+
+// The area to search in: a circle (distance, center, unit), a GeoJSON
+// polygon or a stored region. Resolves to { condition } or { err }.
+const withinCondition = async ({ distance, center, unit, polygon, region }) => {
+  const given = [center, polygon, region].filter((el) => el !== undefined);
+  if (given.length !== 1) {
+    return {
+      err: new AppError(
+        "Please search by exactly one of center (with distance and unit), polygon or region.",
+        400
+      ),
+    };
+  }
+
+  if (region !== undefined) {
+    const doc = await Region.findByRef(`${region}`);
+    if (!doc) {
+      return {
+        err: new AppError("No region found with that name", 404, {
+          code: "REGION_NOT_FOUND",
+        }),
+      };
+    }
+    return { condition: { $geometry: doc.geometry } };
+  }
+
+  if (polygon !== undefined) {
+    const { geometry, error } = geo.parsePolygon(polygon);
+    if (error) return { err: new AppError(error, 400) };
+    return { condition: { $geometry: geometry } };
+  }
+
+  const position = geo.parseLatLng(center);
+  if (!position) return { err: latLngError() };
+  if (!EARTH_RADIUS[unit]) return { err: unitError() };
+  if (!(distance * 1 > 0)) {
+    return {
+      err: new AppError("Please provide a distance greater than 0.", 400),
+    };
+  }
+
+  //calculate radius in radians
+  const radius = distance / EARTH_RADIUS[unit];
+  return { condition: { $centerSphere: [position, radius] } };
+};
+
 // /tours-within/:distance/center/:latlng/unit/:unit
 // /tours-within/233/center/41.379216,2.165337/unit/mi
+// /tours-within?distance=233&center=41.379216,2.165337&unit=mi
+// /tours-within?polygon=-119.8,37.5;-119.2,37.5;-119.2,38.1 (lng,lat;...)
+// /tours-within?region=yosemite-national-park
+// POST /tours-within with { polygon: <GeoJSON> } for large outlines
 exports.getToursWithin = catchAsync(async (req, res, next) => {
   const { distance, latlng, unit } = req.params;
-  const [lat, lng] = latlng.split(",");
+  const input = latlng
+    ? { distance, center: latlng, unit }
+    : { ...req.query, ...req.body };
 
-  //calculate radius in radians
-  const radius = unit === "mi" ? distance / 3963.2 : distance / 6378.1;
-
-  if (!lat || !lng) {
-    next(
-      new AppError(
-        "Please provide latitute and longitude in the format lat,lng.",
-        400
-      )
-    );
-  }
+  const { condition, err } = await withinCondition(input);
+  if (err) return next(err);
 
   const tours = await Tour.find({
-    startLocation: { $geoWithin: { $centerSphere: [[lng, lat], radius] } },
+    startLocation: { $geoWithin: condition },
   });
 
   res.status(200).json({
@@ -184,31 +584,41 @@ exports.getToursWithin = catchAsync(async (req, res, next) => {
   });
 });
 
+// /distances/:latlng/unit/:unit?maxDistance=200&limit=5
 exports.getDistances = catchAsync(async (req, res, next) => {
   const { latlng, unit } = req.params;
-  const [lat, lng] = latlng.split(",");
+  const position = geo.parseLatLng(latlng);
 
-  const multiplier = unit === "mi" ? 0.000621371 : 0.001;
+  if (!position) return next(latLngError());
+  if (!METERS_PER_UNIT[unit]) return next(unitError());
 
-  if (!lat || !lng) {
-    next(
-      new AppError(
-        "Please provide latitute and longitude in the format lat,lng.",
-        400
-      )
-    );
+  const multiplier = 1 / METERS_PER_UNIT[unit];
+  const geoNear = {
+    near: {
+      type: "Point",
+      coordinates: position,
+    },
+    distanceField: "distance",
+    distanceMultiplier: multiplier,
+  };
+
+  if (req.query.maxDistance !== undefined) {
+    const maxDistance = req.query.maxDistance * 1;
+    if (!(maxDistance > 0)) {
+      return next(
+        new AppError("maxDistance must be a number greater than 0.", 400)
+      );
+    }
+    // in meters for GeoJSON points
+    geoNear.maxDistance = maxDistance * METERS_PER_UNIT[unit];
   }
 
   const distances = await Tour.aggregate([
     {
-      $geoNear: {
-        near: {
-          type: "Point",
-          coordinates: [lng * 1, lat * 1],
-        },
-        distanceField: "distance",
-        distanceMultiplier: multiplier,
-      },
+      $geoNear: geoNear,
+    },
+    {
+      $limit: APIFeatures.pageSize(req.query),
     },
     {
       $project: {
@@ -220,8 +630,122 @@ exports.getDistances = catchAsync(async (req, res, next) => {
 
   res.status(200).json({
     status: "success",
+    results: distances.length,
     data: {
       distances,
     },
   });
 });
+
+const sendGeoJSON = (res, collection) => {
+  res.status(200);
+  res.set("Content-Type", "application/geo+json; charset=utf-8");
+  res.send(JSON.stringify(collection));
+};
+
+const findItinerary = (id) =>
+  Tour.findById(id).select("name slug startLocation locations");
+
+// /:id/itinerary -> FeatureCollection with the start, the stops and the route
+exports.getItinerary = catchAsync(async (req, res, next) => {
+  const tour = await findItinerary(req.params.id);
+
+  if (!tour) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "TOUR_NOT_FOUND",
+      })
+    );
+  }
+
+  sendGeoJSON(
+    res,
+    geo.featureCollection(geo.itinerary(tour.toObject()), {
+      properties: { id: tour.id, name: tour.name, slug: tour.slug },
+    })
+  );
+});
+
+const ITINERARY_FORMATS = {
+  gpx: { type: "application/gpx+xml", build: itineraryExport.toGPX },
+  kml: {
+    type: "application/vnd.google-earth.kml+xml",
+    build: itineraryExport.toKML,
+  },
+};
+
+// /:id/itinerary.gpx and /:id/itinerary.kml, for GPS devices and Google Earth
+exports.exportItinerary = catchAsync(async (req, res, next) => {
+  const format = ITINERARY_FORMATS[req.params.format];
+  const tour = await findItinerary(req.params.id);
+
+  if (!tour) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "TOUR_NOT_FOUND",
+      })
+    );
+  }
+
+  res.status(200);
+  res.set("Content-Type", `${format.type}; charset=utf-8`);
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${tour.slug || tour.id}.${req.params.format}"`
+  );
+  res.send(format.build(tour.toObject()));
+});
+
+const MAX_MAP_TOURS = 1000;
+
+// /map?bbox=-125,24,-66,50&zoom=4&difficulty=easy
+// Start locations inside the viewport, clustered below CLUSTER_MAX_ZOOM.
+exports.getToursMap = catchAsync(async (req, res, next) => {
+  const bbox = geo.parseBBox(req.query.bbox);
+  if (!bbox) {
+    return next(
+      new AppError(
+        "Please provide the viewport as ?bbox=minLng,minLat,maxLng,maxLat",
+        400
+      )
+    );
+  }
+
+  const zoom = req.query.zoom === undefined ? undefined : req.query.zoom * 1;
+  const validZoom = Number.isInteger(zoom) && zoom >= 0 && zoom <= 22;
+  if (zoom !== undefined && !validZoom) {
+    return next(new AppError("Zoom must be a whole number from 0 to 22", 400));
+  }
+
+  const filter = new APIFeatures(Tour.find(), req.query)
+    .filter(["bbox", "zoom"])
+    .query.getFilter();
+
+  const tours = await Tour.find({
+    ...filter,
+    ...geo.bboxCondition("startLocation", bbox),
+  })
+    .select(
+      "name slug price difficulty ratingsAverage imageCover startLocation"
+    )
+    .limit(MAX_MAP_TOURS);
+
+  let features = tours.map((tour) =>
+    geo.pointFeature(tour.startLocation.coordinates, {
+      id: tour.id,
+      name: tour.name,
+      slug: tour.slug,
+      price: tour.price,
+      difficulty: tour.difficulty,
+      ratingsAverage: tour.ratingsAverage,
+      imageCover: tour.imageCover,
+      address: tour.startLocation.address,
+    })
+  );
+
+  const clusterMaxZoom = process.env.CLUSTER_MAX_ZOOM * 1 || 8;
+  const clustered = zoom !== undefined && zoom < clusterMaxZoom;
+  if (clustered) features = geo.cluster(features, zoom);
+
+  sendGeoJSON(res, geo.featureCollection(features, { bbox, clustered }));
+});
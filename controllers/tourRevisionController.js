@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+const Tour = require("./../models/tourModel");
+const TourRevision = require("./../models/tourRevisionModel");
+const catchAsync = require("./../utils/catchAsync");
+const AppError = require("./../utils/appError");
+const { can } = require("./../utils/permissions");
+const audit = require("./../utils/audit");
+const factory = require("./handlerFactory");
+
+// the history is for whoever may edit the tour
+exports.loadTour = catchAsync(async (req, res, next) => {
+  const tour = await Tour.visibleTo(Tour.findById(req.params.tourId), req.user);
+
+  if (!tour) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "TOUR_NOT_FOUND",
+      })
+    );
+  }
+  if (!can(req.user, "tour:update", tour)) {
+    return next(
+      new AppError("You do not have permission to perform this action", 403)
+    );
+  }
+
+  req.tour = tour;
+  next();
+});
+
+// newest first, without the (large) snapshots unless asked for
+exports.setListDefaults = (req, res, next) => {
+  if (!req.query.sort) req.query.sort = "-version";
+  if (!req.query.fields) req.query.fields = "-snapshot,-__v";
+  next();
+};
+
+exports.getAllRevisions = factory.getAll(TourRevision);
+
+const findVersion = (tour, version) =>
+  TourRevision.findOne({ tour: tour._id, version: version * 1 || 0 });
+
+const noRevision = (version) =>
+  new AppError(`No revision ${version} found for this tour`, 404, {
+    code: "REVISION_NOT_FOUND",
+  });
+
+exports.getRevision = catchAsync(async (req, res, next) => {
+  const revision = await findVersion(req.tour, req.params.version);
+  if (!revision) return next(noRevision(req.params.version));
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      revision,
+    },
+  });
+});
+
+// ?from=3&to=5, `to` defaults to the current tour
+exports.diffRevisions = catchAsync(async (req, res, next) => {
+  const { from, to } = req.query;
+  if (!from) {
+    return next(
+      new AppError(
+        "Please provide the versions to compare with ?from=&to=",
+        400
+      )
+    );
+  }
+
+  const fromRevision = await findVersion(req.tour, from);
+  if (!fromRevision) return next(noRevision(from));
+
+  let toSnapshot = TourRevision.snapshotOf(req.tour);
+  if (to !== undefined && to !== "current") {
+    const toRevision = await findVersion(req.tour, to);
+    if (!toRevision) return next(noRevision(to));
+    toSnapshot = toRevision.snapshot;
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      from: fromRevision.version,
+      to: to === undefined ? "current" : to,
+      changes: TourRevision.diff(fromRevision.snapshot, toSnapshot),
+    },
+  });
+});
+
+// Seat counts belong to bookings, not to the content: restored departures
+// keep the seats sold so far and sold departures are never dropped.
+const restoreStartDates = (current, restored) => {
+  const sameDay = (a, b) => new Date(a).getTime() === new Date(b).getTime();
+
+  const dates = restored.map(({ date, capacity }) => {
+    const match = current.find((el) => sameDay(el.date, date));
+    const seatsSold = match ? match.seatsSold : 0;
+    return { date, capacity: Math.max(capacity, seatsSold), seatsSold };
+  });
+
+  current
+    .filter((el) => el.seatsSold > 0)
+    .filter((el) => !restored.some(({ date }) => sameDay(el.date, date)))
+    .forEach((el) => {
+      dates.push({
+        date: el.date,
+        capacity: el.capacity,
+        seatsSold: el.seatsSold,
+      });
+    });
+
+  return dates;
+};
+
+// puts the content of an old revision back, as a new revision
+exports.restoreRevision = catchAsync(async (req, res, next) => {
+  const revision = await findVersion(req.tour, req.params.version);
+  if (!revision) return next(noRevision(req.params.version));
+
+  const { tour } = req;
+  const before = tour.toObject();
+
+  TourRevision.REVISIONED_FIELDS.forEach((field) => {
+    const val = revision.snapshot[field];
+    if (field === "startDates") {
+      tour.startDates = restoreStartDates(tour.startDates, val || []);
+    } else {
+      tour.set(field, val);
+    }
+  });
+
+  // The start dates are saved whole, with the seat counts read above: a
+  // seat sold since makes the save miss instead of being overwritten.
+  tour.$where = { __v: tour.__v };
+  try {
+    await tour.save();
+  } catch (err) {
+    if (!(err instanceof mongoose.Error.DocumentNotFoundError)) throw err;
+    return next(
+      new AppError(
+        "The tour was changed while it was restored, try again",
+        412,
+        { code: "DOCUMENT_CHANGED" }
+      )
+    );
+  }
+
+  await TourRevision.record(req, {
+    doc: tour,
+    action: "restore",
+    restoredFrom: revision.version,
+  });
+
+  await audit.record(req, {
+    action: "tour.restore",
+    targetModel: "Tour",
+    targetId: tour._id,
+    before,
+    after: tour,
+  });
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: tour,
+    },
+  });
+});
@@ -4,6 +4,9 @@ const User = require("./../models/userModel");
 const catchAsync = require("./../utils/catchAsync");
 const AppError = require("../utils/appError");
 const factory = require("./handlerFactory");
+const { sendVerificationEmail } = require("./authController");
+const audit = require("./../utils/audit");
+const { validateBody } = require("./../utils/validation");
 
 
 const multerStorage = multer.memoryStorage();
@@ -67,17 +70,41 @@ exports.updateMe = catchAsync(async (req, res, next) => {
 
   // 2) filtered out unwanted and unallowed fields to be updated
   const filteredBody = filterObj(req.body, "name", "email");
+  if (
+    filteredBody.email !== undefined &&
+    typeof filteredBody.email !== "string"
+  ) {
+    return next(new AppError("Please provide a valid email", 400));
+  }
 
   if (req.file) {
     filteredBody.photo = req.file.filename;
   }
 
+  // a new address has to be verified again, the links sent to the old one
+  // stop working
+  const emailChanged =
+    !!filteredBody.email && filteredBody.email.toLowerCase() !== req.user.email;
+  if (emailChanged) {
+    filteredBody.emailVerified = false;
+    filteredBody.$unset = {
+      emailVerificationToken: 1,
+      emailVerificationExpires: 1,
+    };
+  }
+
   // 3) update user document
   const updatedUser = await User.findByIdAndUpdate(req.user.id, filteredBody, {
     new: true,
     runValidators: true,
   });
 
+  // 4) send a link to the new address. The user can ask for another one,
+  // so don't fail the update (the mailer logs the failure)
+  if (emailChanged) {
+    await sendVerificationEmail(updatedUser, req).catch(() => {});
+  }
+
   res.status(200).json({
     status: "success",
     data: {
@@ -106,6 +133,63 @@ exports.gatAllUsers = factory.getAll(User);
 
 exports.getUser = factory.getOne(User);
 
+// admin only: for users who lost their authenticator and recovery codes
+exports.resetTwoFactor = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "USER_NOT_FOUND",
+      })
+    );
+  }
+
+  user.resetTwoFactor();
+  await user.save({ validateBeforeSave: false });
+
+  await audit.record(req, {
+    action: "auth.2fa-reset",
+    targetModel: "User",
+    targetId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication has been reset",
+  });
+});
+
+exports.unlockUser = catchAsync(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(
+      new AppError("No Document found with that ID", 404, {
+        code: "USER_NOT_FOUND",
+      })
+    );
+  }
+
+  user.resetLoginAttempts();
+  await user.save({ validateBeforeSave: false });
+
+  await audit.record(req, {
+    action: "auth.unlock",
+    targetModel: "User",
+    targetId: user._id,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: "The account has been unlocked",
+  });
+});
+
+// Passwords, tokens and the 2FA and lockout state have their own routes
+exports.validateUserUpdate = validateBody(User, {
+  allow: ["name", "email", "emailVerified", "photo", "role", "active"],
+  partial: true,
+});
+
 // Do NOT update passwords with this!
 exports.updateUser = factory.updateOne(User);
 
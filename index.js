@@ -1,7 +1,7 @@
+const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs");
 const express = require("express");
-const morgan = require("morgan");
 const rateLimit = require("express-rate-limit");
 const helmet = require("helmet");
 const mongoSanitize = require("express-mongo-sanitize");
@@ -14,23 +14,34 @@ const mongoose = require("mongoose");
 const dotenv = require("dotenv");
 
 const AppError = require("./utils/appError");
+const APIFeatures = require("./utils/apiFeatures");
+const logger = require("./utils/logging");
+const metrics = require("./utils/metrics");
 const globalErrorHandler = require("./controllers/errorController");
 const tourRouter = require("./routes/tourRoutes");
 const authRoutes = require("./routes/authRoutes");
 const userRouter = require("./routes/userRoutes");
 const reviewRouter = require("./routes/reviewRoutes");
+const bookingRouter = require("./routes/bookingRoutes");
+const auditRouter = require("./routes/auditRoutes");
+const regionRouter = require("./routes/regionRoutes");
 const viewRouter = require("./routes/viewRoutes");
 const Tour = require("./models/tourModel");
+const User = require("./models/userModel");
+const { expirePendingBookings } = require("./controllers/bookingController");
+const { getPaymentProvider } = require("./utils/payments");
 
 // Handle uncaught exceptions
 process.on("uncaughtException", (err) => {
-  console.log("UNCAUGHT EXCEPTION! 💥 Shutting down...");
-  console.log(err.name, err.message);
+  logger.fatal("UNCAUGHT EXCEPTION! 💥 Shutting down...", { err });
   process.exit(1);
 });
 
 dotenv.config({ path: "./.env" });
 
+// a missing or unknown PAYMENT_PROVIDER stops the server right away
+getPaymentProvider();
+
 const app = express();
 
 app.set("view engine", "pug");
@@ -58,22 +69,41 @@ const swaggerOptions = {
 
 // 1) Global Middlewares
 
+// Every response carries a request id, error responses in the body too. A
+// proxy can pass its own with X-Request-Id.
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && /^[\w.:-]{1,128}$/.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  next();
+});
+
 // Serving static files
 app.use(express.static(path.join(__dirname, "public")));
 
 // Set security HTTP headers
 app.use(helmet());
 
-// Development logging
-if (process.env.NODE_ENV === "development") {
-  app.use(morgan("dev"));
-}
+// Request logging, and the request id as context of every log entry
+app.use(logger.requestContext);
+app.use(metrics.requestMetrics);
 
 // Limit requests from same API
 const limiter = rateLimit({
   max: 100,
   windowMs: 60 * 60 * 1000,
-  message: "Too many requests from this IP, please try again in an hour!",
+  handler: (req, res, next) => {
+    metrics.rateLimited.inc({ limiter: "api" });
+    next(
+      new AppError(
+        "Too many requests from this IP, please try again in an hour!",
+        429
+      )
+    );
+  },
 });
 app.use("/api", limiter);
 
@@ -85,17 +115,10 @@ app.use(cookieParser());
 app.use(mongoSanitize());
 app.use(xss());
 
-// Prevent parameter pollution
+// Prevent parameter pollution, except for the filters taking lists
 app.use(
   hpp({
-    whitelist: [
-      "duration",
-      "ratingsQuantity",
-      "ratingsAverage",
-      "maxGroupSize",
-      "difficulty",
-      "price",
-    ],
+    whitelist: APIFeatures.listFilters(Object.values(mongoose.models)),
   })
 );
 
@@ -107,18 +130,28 @@ app.use((req, res, next) => {
 
 // 2) Routes
 
+app.get("/metrics", metrics.getMetrics);
+
 const swaggerDocs = swaggerJSDoc(swaggerOptions);
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
-app.use("/", viewRouter);
-app.use("/api/v1/auth", authRoutes);
-app.use("/api/v1/tours", tourRouter);
-app.use("/api/v1/users", userRouter);
-app.use("/api/v1/reviews", reviewRouter);
+// metrics.routeErrors keeps the route of failed requests for /metrics
+app.use("/", viewRouter, metrics.routeErrors);
+app.use("/api/v1/auth", authRoutes, metrics.routeErrors);
+app.use("/api/v1/tours", tourRouter, metrics.routeErrors);
+app.use("/api/v1/users", userRouter, metrics.routeErrors);
+app.use("/api/v1/reviews", reviewRouter, metrics.routeErrors);
+app.use("/api/v1/bookings", bookingRouter, metrics.routeErrors);
+app.use("/api/v1/audit-events", auditRouter, metrics.routeErrors);
+app.use("/api/v1/regions", regionRouter, metrics.routeErrors);
 
 // 3) Handle undefined routes
 app.all("*", (req, res, next) => {
-  next(new AppError(`Can't find ${req.originalUrl} on this server!`, 404));
+  next(
+    new AppError(`Can't find ${req.originalUrl} on this server!`, 404, {
+      code: "ROUTE_NOT_FOUND",
+    })
+  );
 });
 
 // 4) Global error handler
@@ -130,17 +163,24 @@ const DB = process.env.DATABASE.replace(
   process.env.DATABASE_PASSWORD
 );
 
-mongoose.connect(DB).then(() => console.log(`DB connection successful!`));
+mongoose
+  .connect(DB)
+  .then(() => logger.info("DB connection successful!"))
+  .then(() => Tour.migrateSecretTours())
+  .then(() => User.migrateEmailVerified())
+  .then(() => {
+    // abandoned checkouts give their seats back
+    setInterval(expirePendingBookings, 5 * 60 * 1000).unref();
+  });
 
 const port = process.env.port || 3000;
 const server = app.listen(port, () => {
-  console.log(`App running on port ${port}...`);
+  logger.info(`App running on port ${port}...`, { port });
 });
 
 // Handle unhandled promise rejections
 process.on("unhandledRejection", (err) => {
-  console.log("UNHANDLED REJECTION! 💥 Shutting down...");
-  console.log(err.name, err.message);
+  logger.fatal("UNHANDLED REJECTION! 💥 Shutting down...", { err });
   server.close(() => {
     process.exit(1);
   });
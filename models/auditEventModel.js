@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const metrics = require('../utils/metrics');
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: [true, 'An audit event must have an action'],
+  },
+  actor: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  actorRole: String,
+  targetModel: String,
+  targetId: mongoose.Schema.ObjectId,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // { field: { from, to } } for every changed field
+  changes: mongoose.Schema.Types.Mixed,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true,
+  },
+});
+
+auditEventSchema.index({ createdAt: -1 });
+auditEventSchema.index({ action: 1, createdAt: -1 });
+auditEventSchema.index({ actor: 1, createdAt: -1 });
+auditEventSchema.index({ targetModel: 1, targetId: 1, createdAt: -1 });
+
+// fields and operators accepted as query string filters, see APIFeatures
+auditEventSchema.statics.filterable = {
+  action: 'text',
+  actor: 'equality',
+  actorRole: 'equality',
+  targetModel: 'equality',
+  targetId: 'equality',
+  ip: 'equality',
+  createdAt: 'range',
+};
+
+// the log is append-only
+const appendOnly = function (next) {
+  next(new Error('Audit events can not be changed or deleted'));
+};
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+
+auditEventSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'findOneAndUpdate',
+    'replaceOne',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+  ],
+  { document: false, query: true },
+  appendOnly,
+);
+
+auditEventSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'actor',
+    select: 'name email',
+  });
+  next();
+});
+
+// query timings for /metrics
+auditEventSchema.plugin(metrics.queryTimings);
+
+// creating a model
+const AuditEvent = mongoose.model('AuditEvent', auditEventSchema);
+
+module.exports = AuditEvent;
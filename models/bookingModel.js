@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Tour = require('./tourModel');
+const AppError = require('../utils/appError');
+const logger = require('../utils/logging');
+const versioning = require('../utils/versioning');
+const metrics = require('../utils/metrics');
+
+const bookingSchema = new mongoose.Schema(
+  {
+    tour: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Tour',
+      required: [true, 'Booking must belong to a Tour!'],
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: [true, 'Booking must belong to a User!'],
+    },
+    price: {
+      type: Number,
+      required: [true, 'Booking must have a price.'],
+    },
+    startDate: Date,
+    participants: {
+      type: Number,
+      default: 1,
+      min: [1, 'A booking must be for at least 1 participant'],
+    },
+    status: {
+      type: String,
+      enum: {
+        values: ['pending', 'paid', 'declined', 'cancelled'],
+        message: 'Status is either: pending, paid, declined, cancelled',
+      },
+      default: 'pending',
+    },
+    provider: {
+      type: String,
+      required: [true, 'Booking must have a payment provider.'],
+    },
+    sessionId: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+    paidAt: Date,
+    createdAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+bookingSchema.index({ user: 1, createdAt: -1 });
+bookingSchema.index({ tour: 1, startDate: 1 });
+
+// fields and operators accepted as query string filters, see APIFeatures
+bookingSchema.statics.filterable = {
+  tour: 'equality',
+  user: 'equality',
+  price: 'range',
+  startDate: 'range',
+  participants: 'range',
+  status: 'equality',
+  provider: 'equality',
+  paidAt: 'range',
+  createdAt: 'range',
+};
+
+// query middleware
+bookingSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'user',
+    select: 'name email',
+  }).populate({
+    path: 'tour',
+    select: 'name',
+    // a booking keeps its tour when the tour is unpublished later
+    options: { includeUnpublished: true },
+  });
+  next();
+});
+
+// seat accounting
+// pending and paid bookings hold their seats on the tour's start date
+const HOLDING = ['pending', 'paid'];
+
+// the seats a booking holds, from a document or a merged update
+const seatsHeld = (booking) => {
+  if (!booking || !HOLDING.includes(booking.status) || !booking.startDate) {
+    return null;
+  }
+  return {
+    tour: `${booking.tour._id || booking.tour}`,
+    date: new Date(booking.startDate).getTime(),
+    seats: booking.participants * 1 || 1,
+  };
+};
+
+const reserveSeats = async ({ tour, date, seats }) => {
+  if (await Tour.reserveSeats(tour, new Date(date), seats)) return;
+
+  const found = await Tour.findById(tour)
+    .setOptions({ includeUnpublished: true })
+    .select('startDates');
+  const startDate =
+    found && found.startDates.find((el) => el.date.getTime() === date);
+  if (!startDate) {
+    throw new AppError('This tour does not start on that date', 400);
+  }
+  throw new AppError(
+    `Only ${startDate.seatsAvailable} seats left on this date`,
+    409,
+    { code: 'TOUR_SEATS_UNAVAILABLE' },
+  );
+};
+
+// Moves the seats held from one booking state to the other. The new seats
+// are reserved before the old ones are released, so a date that is sold
+// out leaves the booking as it was.
+const moveSeats = async (from, to) => {
+  if (from && to && from.tour === to.tour && from.date === to.date) {
+    const seats = to.seats - from.seats;
+    if (seats) await reserveSeats({ ...to, seats });
+    return;
+  }
+  if (to) await reserveSeats(to);
+  if (from) await Tour.releaseSeats(from.tour, new Date(from.date), from.seats);
+};
+
+// puts the seats back when the write they were moved for failed
+const revertSeats = (moved) =>
+  moved &&
+  moveSeats(moved.to, moved.from).catch((err) =>
+    logger.error('Booking seats not reverted', { ...moved, err }),
+  );
+
+bookingSchema.post('init', function () {
+  this.$locals.held = seatsHeld(this);
+});
+
+bookingSchema.pre('save', async function () {
+  this.$locals.moved = undefined;
+  const from = this.$locals.held || null;
+  const to = seatsHeld(this);
+  await moveSeats(from, to);
+  this.$locals.moved = { from, to };
+});
+
+bookingSchema.post('save', function () {
+  this.$locals.held = this.$locals.moved.to;
+  this.$locals.moved = undefined;
+});
+
+bookingSchema.post('save', async function (err, doc, next) {
+  const { moved } = this.$locals;
+  this.$locals.moved = undefined;
+  await revertSeats(moved);
+  next(err);
+});
+
+// Updates are applied to the booking as loaded here, a write in between
+// makes them miss instead of moving the seats twice.
+bookingSchema.pre('findOneAndUpdate', async function () {
+  this.$seatsMoved = undefined;
+  const before = await this.model.findOne(this.getFilter()).lean();
+  if (!before) return;
+
+  const update = this.getUpdate() || {};
+  const from = seatsHeld(before);
+  const to = seatsHeld({ ...before, ...update, ...update.$set });
+  this.and([{ __v: before.__v }]);
+  await moveSeats(from, to);
+  this.$seatsMoved = { from, to };
+});
+
+bookingSchema.post('findOneAndUpdate', async function (doc) {
+  const moved = this.$seatsMoved;
+  this.$seatsMoved = undefined;
+  if (!doc) await revertSeats(moved);
+});
+
+bookingSchema.post('findOneAndUpdate', async function (err, res, next) {
+  const moved = this.$seatsMoved;
+  this.$seatsMoved = undefined;
+  await revertSeats(moved);
+  next(err);
+});
+
+bookingSchema.post('findOneAndDelete', async function (doc) {
+  const held = seatsHeld(doc);
+  if (held) await Tour.releaseSeats(held.tour, new Date(held.date), held.seats);
+});
+
+// creating a model
+// every write bumps __v, the ETag version
+bookingSchema.plugin(versioning.plugin);
+// query timings for /metrics
+bookingSchema.plugin(metrics.queryTimings);
+
+const Booking = mongoose.model('Booking', bookingSchema);
+
+module.exports = Booking;
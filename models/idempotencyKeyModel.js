@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const metrics = require('../utils/metrics');
+
+// The first response to a request sent with an Idempotency-Key header,
+// replayed when the client retries the same request. See utils/idempotency.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+  },
+  // the user the key belongs to, or the IP of anonymous requests
+  scope: {
+    type: String,
+    default: '',
+  },
+  // hash of the method, path and body, a retry has to match it
+  fingerprint: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'done'],
+    default: 'processing',
+  },
+  response: {
+    statusCode: Number,
+    headers: mongoose.Schema.Types.Mixed,
+    body: mongoose.Schema.Types.Mixed,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+idempotencyKeySchema.index({ key: 1, scope: 1 }, { unique: true });
+// let MongoDB remove expired keys
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// instance methods
+idempotencyKeySchema.methods.isStale = function () {
+  return this.expiresAt < Date.now();
+};
+
+// query timings for /metrics
+idempotencyKeySchema.plugin(metrics.queryTimings);
+
+// creating a model
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const { polygonError } = require('../utils/geo');
+const versioning = require('../utils/versioning');
+const metrics = require('../utils/metrics');
+
+const GEOMETRY_TYPES = ['Polygon', 'MultiPolygon'];
+
+// Checks the coordinates against their geometry type, or against the type
+// their depth suggests (MultiPolygons are one level deeper) when it isn't
+// known.
+const coordinatesError = (coords, type) => {
+  const multi =
+    Array.isArray(coords) &&
+    Array.isArray(coords[0]) &&
+    Array.isArray(coords[0][0]) &&
+    Array.isArray(coords[0][0][0]);
+  return polygonError({
+    type: GEOMETRY_TYPES.includes(type)
+      ? type
+      : (multi && 'MultiPolygon') || 'Polygon',
+    coordinates: coords,
+  });
+};
+
+// the geometry type the coordinates come with. Update validators run with
+// the query as `this`, so it's the one set by the same update, if any.
+const geometryType = (ctx) => {
+  if (ctx instanceof mongoose.Query) {
+    const update = ctx.getUpdate() || {};
+    const set = { ...update, ...update.$set };
+    return set['geometry.type'] || (set.geometry && set.geometry.type);
+  }
+  return ctx.geometry && ctx.geometry.type;
+};
+
+// Named areas like a national park outline, to search tours by region
+const regionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'A region must have a name'],
+    unique: true,
+    trim: true,
+    maxlength: [80, 'A region name must have <= 80 chars'],
+  },
+  slug: {
+    type: String,
+    unique: true,
+  },
+  description: {
+    type: String,
+    trim: true,
+  },
+  geometry: {
+    // GeoJSON
+    type: {
+      type: String,
+      enum: {
+        values: ['Polygon', 'MultiPolygon'],
+        message: 'A region is either a Polygon or a MultiPolygon',
+      },
+      required: [true, 'A region must have a geometry type'],
+    },
+    coordinates: {
+      type: mongoose.Schema.Types.Mixed,
+      required: [true, 'A region must have coordinates'],
+      validate: {
+        // the message depends on the geometry type, only known in here
+        validator(val, props) {
+          props.message = coordinatesError(val, geometryType(this));
+          return !props.message;
+        },
+        propsParameter: true,
+      },
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+regionSchema.index({ geometry: '2dsphere' });
+
+// fields and operators accepted as query string filters, see APIFeatures
+regionSchema.statics.filterable = {
+  name: 'text',
+  slug: 'equality',
+};
+
+regionSchema.pre('save', function (next) {
+  if (this.isModified('name')) this.slug = slugify(this.name, { lower: true });
+  next();
+});
+
+// renames through updates get a new slug too
+regionSchema.pre('findOneAndUpdate', function (next) {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return next();
+
+  const target =
+    update.$set && update.$set.name !== undefined ? update.$set : update;
+  if (typeof target.name === 'string') {
+    target.slug = slugify(target.name, { lower: true });
+  }
+  next();
+});
+
+// by slug or id, so /tours-within?region=yosemite-national-park works
+regionSchema.statics.findByRef = function (ref) {
+  const conditions = [{ slug: ref }];
+  if (mongoose.isValidObjectId(ref)) conditions.push({ _id: ref });
+  return this.findOne({ $or: conditions });
+};
+
+// every write bumps __v, the ETag version
+regionSchema.plugin(versioning.plugin);
+// query timings for /metrics
+regionSchema.plugin(metrics.queryTimings);
+
+const Region = mongoose.model('Region', regionSchema);
+
+module.exports = Region;
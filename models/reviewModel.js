@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const Tour = require('./tourModel');
+const versioning = require('../utils/versioning');
+const metrics = require('../utils/metrics');
 
 const reviewSchema = new mongoose.Schema(
   {
@@ -35,6 +37,14 @@ const reviewSchema = new mongoose.Schema(
 
 reviewSchema.index({ tour: 1, user: 1 }, { unique: true });
 
+// fields and operators accepted as query string filters, see APIFeatures
+reviewSchema.statics.filterable = {
+  rating: 'range',
+  createdAt: 'range',
+  tour: 'equality',
+  user: 'equality',
+};
+
 reviewSchema.pre(/^find/, function (next) {
   /*     this.populate({
         path: 'tour',
@@ -71,12 +81,12 @@ reviewSchema.statics.calcAverageRatings = async function (tourId) {
     await Tour.findByIdAndUpdate(tourId, {
       ratingsQuantity: stats[0].nRating,
       ratingsAverage: stats[0].avgRating,
-    });
+    }).setOptions({ includeUnpublished: true });
   } else {
     await Tour.findByIdAndUpdate(tourId, {
       ratingsQuantity: 0,
       ratingsAverage: 4.5,
-    });
+    }).setOptions({ includeUnpublished: true });
   }
 };
 
@@ -100,6 +110,11 @@ reviewSchema.post(/^findOneAnd/, async function () {
   await this.r.constructor.calcAverageRatings(this.r.tour);
 });
 
+// every write bumps __v, the ETag version
+reviewSchema.plugin(versioning.plugin);
+// query timings for /metrics
+reviewSchema.plugin(metrics.queryTimings);
+
 // creating a model
 const Review = mongoose.model('Review', reviewSchema);
 
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const metrics = require('../utils/metrics');
+
+// One session per logged in device. The refresh token rotates on every use,
+// the previous tokens of the family are kept to detect reuse.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+    required: [true, 'Session must belong to a user'],
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  previousTokenHashes: {
+    type: [String],
+    select: false,
+  },
+  userAgent: String,
+  ip: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  revokedAt: Date,
+  revokedReason: String,
+});
+
+sessionSchema.index({ tokenHash: 1 });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// let MongoDB remove expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiresAt = () =>
+  new Date(
+    Date.now() +
+      (process.env.REFRESH_TOKEN_EXPIRES_IN || 30) * 24 * 60 * 60 * 1000,
+  );
+
+// static methods
+sessionSchema.statics.hashToken = hashToken;
+
+sessionSchema.statics.start = async function (user, req) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  const session = await this.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get('User-Agent'),
+    ip: req.ip,
+    expiresAt: refreshExpiresAt(),
+  });
+
+  return { session, refreshToken };
+};
+
+sessionSchema.statics.revokeAllForUser = function (userId, exceptId, reason) {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptId) filter._id = { $ne: exceptId };
+
+  return this.updateMany(filter, {
+    revokedAt: Date.now(),
+    revokedReason: reason,
+  });
+};
+
+// instance methods
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+sessionSchema.methods.rotate = async function (req) {
+  const refreshToken = crypto.randomBytes(40).toString('hex');
+
+  this.previousTokenHashes.push(this.tokenHash);
+  this.tokenHash = hashToken(refreshToken);
+  this.userAgent = req.get('User-Agent');
+  this.ip = req.ip;
+  this.lastUsedAt = Date.now();
+  this.expiresAt = refreshExpiresAt();
+  await this.save();
+
+  return refreshToken;
+};
+
+sessionSchema.methods.revoke = async function (reason) {
+  this.revokedAt = Date.now();
+  this.revokedReason = reason;
+  await this.save({ validateBeforeSave: false });
+};
+
+// query timings for /metrics
+sessionSchema.plugin(metrics.queryTimings);
+
+// creating a model
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
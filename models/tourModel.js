@@ -1,6 +1,61 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
 const validator = require('validator');
+const { can, hasPermission } = require('../utils/permissions');
+const TourRevision = require('./tourRevisionModel');
+const versioning = require('../utils/versioning');
+const metrics = require('../utils/metrics');
+
+// draft -> in-review -> published -> archived, see updateTourStatus
+const STATUSES = ['draft', 'in-review', 'published', 'archived'];
+const STATUS_TRANSITIONS = {
+  draft: ['in-review', 'published'],
+  'in-review': ['draft', 'published'],
+  published: ['draft', 'archived'],
+  archived: ['draft'],
+};
+
+const startDateSchema = new mongoose.Schema(
+  {
+    date: {
+      type: Date,
+      required: [true, 'A start date must have a date'],
+    },
+    capacity: {
+      type: Number,
+      // falls back to the tour's maxGroupSize
+      default: function () {
+        const tour = this.parent();
+        return tour ? tour.maxGroupSize : undefined;
+      },
+      required: [true, 'A start date must have a capacity'],
+      min: [1, 'Capacity must be at least 1'],
+    },
+    seatsSold: {
+      type: Number,
+      default: 0,
+      min: [0, 'Seats sold can not be negative'],
+      validate: {
+        validator: function (val) {
+          return val <= this.capacity;
+        },
+        message: 'Seats sold ({VALUE}) can not exceed the capacity',
+      },
+    },
+    soldOut: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+);
+
+startDateSchema.virtual('seatsAvailable').get(function () {
+  return Math.max(this.capacity - this.seatsSold, 0);
+});
 
 // creating simple schema
 const tourSchema = new mongoose.Schema(
@@ -76,10 +131,35 @@ const tourSchema = new mongoose.Schema(
       default: Date.now(),
       select: false,
     },
-    startDates: [Date],
-    secretTour: {
-      type: Boolean,
-      default: false,
+    startDates: {
+      type: [startDateSchema],
+      // still accept plain dates, e.g. ['2021-06-19']
+      set: (dates) =>
+        Array.isArray(dates)
+          ? dates.map((el) =>
+              el instanceof Date || typeof el === 'string' ? { date: el } : el,
+            )
+          : dates,
+    },
+    status: {
+      type: String,
+      enum: {
+        values: STATUSES,
+        message: 'Status is either: draft, in-review, published, archived',
+      },
+      default: 'draft',
+    },
+    // a published tour is only visible between these two
+    publishAt: Date,
+    unpublishAt: {
+      type: Date,
+      validate: {
+        validator: function (val) {
+          // this only points to current doc on new document creation
+          return !val || !this.publishAt || val > this.publishAt;
+        },
+        message: 'A tour must be unpublished after it is published',
+      },
     },
     startLocation: {
       // GeoJSON
@@ -122,7 +202,47 @@ const tourSchema = new mongoose.Schema(
 tourSchema.index({ price: 1, ratingsAverage: -1 });
 tourSchema.index({ slug: 1 });
 tourSchema.index({ startLocation: '2dsphere' });
+tourSchema.index({ 'startDates.date': 1 });
+tourSchema.index({ status: 1, publishAt: 1, unpublishAt: 1 });
+// weighted full-text search, see tourController.searchTours
+tourSchema.index(
+  { name: 'text', summary: 'text', description: 'text' },
+  {
+    name: 'TourTextIndex',
+    weights: { name: 10, summary: 5, description: 1 },
+  },
+);
 
+// fields and operators accepted as query string filters, see APIFeatures
+tourSchema.statics.filterable = {
+  name: 'text',
+  slug: 'equality',
+  duration: 'range',
+  maxGroupSize: 'range',
+  difficulty: 'equality',
+  ratingsAverage: 'range',
+  ratingsQuantity: 'range',
+  price: 'range',
+  priceDiscount: 'range',
+  'startDates.date': 'range',
+  'startDates.soldOut': 'flag',
+  'startLocation.address': 'text',
+  'locations.address': 'text',
+  'locations.day': 'range',
+  guides: 'equality',
+  status: 'equality',
+  publishAt: 'range',
+  unpublishAt: 'range',
+};
+
+// ?facets=difficulty,price -> counts per value or bucket, see APIFeatures.
+// The last bucket is open ended.
+tourSchema.statics.facets = {
+  difficulty: { type: 'terms' },
+  price: { type: 'buckets', boundaries: [0, 500, 1000, 2000] },
+  duration: { type: 'buckets', boundaries: [1, 4, 8, 15] },
+  ratingsAverage: { type: 'buckets', boundaries: [1, 3, 4, 4.5] },
+};
 
 // virtual property
 tourSchema.virtual('durationWeeks').get(function () {
@@ -142,10 +262,211 @@ tourSchema.pre('save', function (next) {
   next();
 });
 
+tourSchema.pre('validate', function (next) {
+  this.startDates.forEach((startDate) => {
+    if (startDate.capacity === undefined) {
+      startDate.capacity = this.maxGroupSize;
+    }
+    startDate.soldOut = startDate.seatsSold >= startDate.capacity;
+  });
+  next();
+});
+
+// Start dates sent to an update, merged by date with the ones stored:
+// plain dates become start dates, capacities default to the stored ones
+// (or the group size) and the seats sold are kept. Dates with sold seats
+// can't be removed, nor get a capacity below the seats sold.
+const mergeStartDates = (stored, sent, maxGroupSize) => {
+  const byDate = new Map(stored.map((el) => [el.date.getTime(), el]));
+  const error = new mongoose.Error.ValidationError();
+  const fail = (path, message, value) =>
+    error.addError(
+      path,
+      new mongoose.Error.ValidatorError({ path, message, value }),
+    );
+
+  const merged = [].concat(sent).map((el, i) => {
+    const given =
+      el && typeof el === 'object' && !(el instanceof Date) ? el : { date: el };
+    const date = new Date(given.date);
+    // casting reports invalid dates
+    if (Number.isNaN(date.getTime())) return given;
+
+    const existing = byDate.get(date.getTime());
+    byDate.delete(date.getTime());
+
+    let { capacity } = given;
+    if (capacity === undefined || capacity === null) {
+      capacity = existing ? existing.capacity : maxGroupSize;
+    }
+    const seatsSold = existing ? existing.seatsSold : 0;
+    if (capacity < seatsSold) {
+      fail(
+        `startDates.${i}.capacity`,
+        `Capacity can not be below the ${seatsSold} seats already sold`,
+        capacity,
+      );
+    }
+
+    return {
+      ...given,
+      ...(existing && { _id: existing._id }),
+      date,
+      capacity,
+      seatsSold,
+      soldOut: seatsSold >= capacity,
+    };
+  });
+
+  byDate.forEach((el) => {
+    if (el.seatsSold > 0) {
+      fail(
+        'startDates',
+        `The start date ${el.date.toISOString()} has ${el.seatsSold} seats sold and can not be removed`,
+        el.date,
+      );
+    }
+  });
+
+  if (Object.keys(error.errors).length) throw error;
+  return merged;
+};
+
+// Updates replace the whole startDates array, so the seats sold are merged
+// in first. The update only applies to the version merged with: a seat
+// reserved in between makes it miss instead of being overwritten.
+tourSchema.pre('findOneAndUpdate', async function () {
+  const update = this.getUpdate();
+  if (!update || update.startDates === undefined) return;
+
+  const stored = await this.model
+    .findOne(this.getFilter())
+    .setOptions({ includeUnpublished: true })
+    .select('startDates maxGroupSize __v');
+  if (!stored) return;
+
+  update.startDates = mergeStartDates(
+    stored.startDates,
+    update.startDates,
+    update.maxGroupSize || stored.maxGroupSize,
+  );
+  this.and([{ __v: stored.__v }]);
+});
+
+// static methods
+// Atomically moves `seats` seats on one start date, the update only matches
+// when the result stays between 0 and the date's capacity.
+const changeSeats = async function (tourId, date, seats) {
+  const startDate = new Date(date);
+  const seatsSold = { $add: ['$$this.seatsSold', seats] };
+
+  const result = await this.updateOne(
+    {
+      _id: tourId,
+      $expr: {
+        $anyElementTrue: {
+          $map: {
+            input: '$startDates',
+            in: {
+              $and: [
+                { $eq: ['$$this.date', startDate] },
+                { $gte: [seatsSold, 0] },
+                { $lte: [seatsSold, '$$this.capacity'] },
+              ],
+            },
+          },
+        },
+      },
+    },
+    [
+      {
+        $set: {
+          startDates: {
+            $map: {
+              input: '$startDates',
+              in: {
+                $cond: [
+                  { $eq: ['$$this.date', startDate] },
+                  {
+                    $mergeObjects: [
+                      '$$this',
+                      {
+                        seatsSold,
+                        soldOut: { $gte: [seatsSold, '$$this.capacity'] },
+                      },
+                    ],
+                  },
+                  '$$this',
+                ],
+              },
+            },
+          },
+        },
+      },
+    ],
+  );
+
+  return result.modifiedCount === 1;
+};
+
+// Published and inside the publish window. No $or, so it combines with
+// any other condition.
+const publishedFilter = () => {
+  const now = new Date();
+  return {
+    status: 'published',
+    publishAt: { $not: { $gt: now } },
+    unpublishAt: { $not: { $lte: now } },
+  };
+};
+
+tourSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// every content change is kept as a revision, called by the handler factory
+tourSchema.statics.recordRevision = (req, options) =>
+  TourRevision.record(req, options);
+
+tourSchema.statics.publishedFilter = publishedFilter;
+
+tourSchema.statics.mergeStartDates = mergeStartDates;
+
+// Everyone sees the published tours, staff also the others: all of them
+// with tour:preview, the ones they guide with tour:preview:own.
+tourSchema.statics.visibleTo = function (query, user) {
+  if (!user || !hasPermission(user, 'tour:preview')) return query;
+
+  query.setOptions({ includeUnpublished: true });
+  if (can(user, 'tour:preview')) return query;
+  return query.and([{ $or: [publishedFilter(), { guides: user._id }] }]);
+};
+
+// tours from before the status lifecycle: secret tours become drafts, the
+// others stay visible. Runs on startup, does nothing once migrated.
+tourSchema.statics.migrateSecretTours = async function () {
+  const legacy = { status: { $exists: false } };
+  await this.collection.updateMany(
+    { ...legacy, secretTour: true },
+    { $set: { status: 'draft' }, $unset: { secretTour: '' } },
+  );
+  await this.collection.updateMany(legacy, {
+    $set: { status: 'published' },
+    $unset: { secretTour: '' },
+  });
+};
+
+// resolves to false when the date is unknown or has too few seats left
+tourSchema.statics.reserveSeats = function (tourId, date, seats = 1) {
+  return changeSeats.call(this, tourId, date, seats);
+};
+
+tourSchema.statics.releaseSeats = function (tourId, date, seats = 1) {
+  return changeSeats.call(this, tourId, date, -seats);
+};
+
 // query middleware
-tourSchema.pre(/^find/, function (next) {
-  this.find({ secretTour: { $ne: true } });
-  this.start = Date.now();
+// only published tours, unless the query was scoped with visibleTo()
+tourSchema.pre([/^find/, 'countDocuments'], function (next) {
+  if (!this.getOptions().includeUnpublished) this.and([publishedFilter()]);
   next();
 });
 
@@ -157,19 +478,24 @@ tourSchema.pre(/^find/, function (next) {
   next();
 });
 
-/* tourSchema.post(/^find/, function (docs, next) {
-  console.log(`query took ${Date.now() - this.start} milliseconds!`);
-  next();
-}); */
-
 //Aggregation middleware
-/* tourSchema.pre('aggregate', function (next) {
-  this.pipeline().unshift({ $match: { secretTour: { $ne: true } } });
+tourSchema.pre('aggregate', function (next) {
+  if (this.options.includeUnpublished) return next();
+
+  // $geoNear has to stay the first stage
+  const pipeline = this.pipeline();
+  const at = pipeline.length && pipeline[0].$geoNear ? 1 : 0;
+  pipeline.splice(at, 0, { $match: publishedFilter() });
 
-  console.log(this.pipeline());
   next();
-}); */
+});
+
 // creating a model
+// every write bumps __v, the ETag version
+tourSchema.plugin(versioning.plugin);
+// query timings for /metrics
+tourSchema.plugin(metrics.queryTimings);
+
 const Tour = mongoose.model('Tour', tourSchema);
 
 module.exports = Tour;
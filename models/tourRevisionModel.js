@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { diff } = require('../utils/audit');
+const logger = require('../utils/logging');
+const metrics = require('../utils/metrics');
+
+// the content a revision keeps and a restore brings back. Ratings, seat
+// counts and the publishing status are left out, they aren't edits.
+const REVISIONED_FIELDS = [
+  'name',
+  'duration',
+  'maxGroupSize',
+  'difficulty',
+  'price',
+  'priceDiscount',
+  'summary',
+  'description',
+  'imageCover',
+  'images',
+  'startDates',
+  'startLocation',
+  'locations',
+  'guides',
+];
+
+const tourRevisionSchema = new mongoose.Schema({
+  tour: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'Tour',
+    required: [true, 'A revision must belong to a tour'],
+  },
+  // 1, 2, 3, ... per tour
+  version: {
+    type: Number,
+    required: [true, 'A revision must have a version'],
+  },
+  action: {
+    type: String,
+    enum: ['baseline', 'create', 'update', 'restore'],
+    required: true,
+  },
+  author: {
+    type: mongoose.Schema.ObjectId,
+    ref: 'User',
+  },
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // { field: { from, to } } compared to the previous version
+  changes: mongoose.Schema.Types.Mixed,
+  restoredFrom: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+tourRevisionSchema.index({ tour: 1, version: -1 }, { unique: true });
+
+// fields and operators accepted as query string filters, see APIFeatures
+tourRevisionSchema.statics.filterable = {
+  version: 'range',
+  action: 'equality',
+  author: 'equality',
+  createdAt: 'range',
+};
+
+tourRevisionSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: 'author',
+    select: 'name email',
+  });
+  next();
+});
+
+// plain JSON of the revisioned fields, seat counts of departures left out
+const snapshotOf = (tour) => {
+  const obj = tour.toObject
+    ? tour.toObject({ depopulate: true, virtuals: false })
+    : tour;
+  const snapshot = {};
+
+  REVISIONED_FIELDS.forEach((field) => {
+    if (obj[field] !== undefined) snapshot[field] = obj[field];
+  });
+  if (snapshot.startDates) {
+    snapshot.startDates = snapshot.startDates.map(({ date, capacity }) => ({
+      date,
+      capacity,
+    }));
+  }
+
+  return JSON.parse(JSON.stringify(snapshot));
+};
+
+tourRevisionSchema.statics.REVISIONED_FIELDS = REVISIONED_FIELDS;
+
+tourRevisionSchema.statics.snapshotOf = snapshotOf;
+
+tourRevisionSchema.statics.diff = diff;
+
+const recordOnce = async (
+  Model,
+  req,
+  { doc: tour, before, action, restoredFrom },
+) => {
+  let latest = await Model.findOne({ tour: tour._id })
+    .sort('-version')
+    .select('version snapshot');
+
+  if (!latest && before) {
+    latest = await Model.create({
+      tour: tour._id,
+      version: 1,
+      action: 'baseline',
+      snapshot: snapshotOf(before),
+    });
+  }
+
+  const snapshot = snapshotOf(tour);
+  const changes = diff(latest ? latest.snapshot : {}, snapshot);
+  if (latest && !Object.keys(changes).length && action !== 'restore') return;
+
+  return Model.create({
+    tour: tour._id,
+    version: latest ? latest.version + 1 : 1,
+    action,
+    author: req.user && req.user._id,
+    snapshot,
+    changes,
+    restoredFrom,
+  });
+};
+
+// Stores the tour as the next version, unless nothing revisioned changed.
+// Tours edited before revisions existed first get a baseline of `before`,
+// so the first bad edit can be undone too. Like the audit log, a failure
+// only gets logged: the tour itself is already saved.
+tourRevisionSchema.statics.record = async function (req, options) {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await recordOnce(this, req, options);
+    } catch (err) {
+      // a concurrent edit took the version number, try the next one
+      if (err.code !== 11000 || attempt >= 3) {
+        logger.error('Tour revision error', { tourId: options.doc.id, err });
+        return;
+      }
+    }
+  }
+};
+
+// query timings for /metrics
+tourRevisionSchema.plugin(metrics.queryTimings);
+
+const TourRevision = mongoose.model('TourRevision', tourRevisionSchema);
+
+module.exports = TourRevision;
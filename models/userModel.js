@@ -2,6 +2,12 @@ const crypto = require('crypto');
 const mongoose = require('mongoose');
 const validator = require('validator');
 const bcrypt = require('bcryptjs');
+const totp = require('../utils/totp');
+const versioning = require('../utils/versioning');
+const metrics = require('../utils/metrics');
+
+const hashCode = (code) =>
+  crypto.createHash('sha256').update(`${code}`).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -15,6 +21,10 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     validate: [validator.isEmail, 'Please provide a valid email'],
   },
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
   photo: {
     type: String,
     default: 'default.jpg',
@@ -50,13 +60,72 @@ const userSchema = new mongoose.Schema({
   passwordResetExpires: {
     type: Date,
   },
+  emailVerificationToken: {
+    type: String,
+  },
+  emailVerificationExpires: {
+    type: Date,
+  },
+  emailVerificationSentAt: {
+    type: Date,
+  },
   active: {
     type: Boolean,
     default: true,
     select: false,
   },
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  // how often the account was locked in a row, drives the lock duration
+  lockCount: {
+    type: Number,
+    default: 0,
+    select: false,
+  },
+  lockUntil: {
+    type: Date,
+    select: false,
+  },
+  twoFactorEnabled: {
+    type: Boolean,
+    default: false,
+  },
+  twoFactorSecret: {
+    type: String,
+    select: false,
+  },
+  // secret waiting to be confirmed with a first code during enrolment
+  twoFactorPendingSecret: {
+    type: String,
+    select: false,
+  },
+  twoFactorRecoveryCodes: {
+    type: [String],
+    select: false,
+  },
+  twoFactorLastStep: {
+    type: Number,
+    select: false,
+  },
+  // hashed secret in the url of the calendar feeds, apps can't log in
+  calendarToken: {
+    type: String,
+    select: false,
+  },
 });
 
+// fields and operators accepted as query string filters, see APIFeatures
+userSchema.statics.filterable = {
+  name: 'text',
+  email: 'text',
+  emailVerified: 'flag',
+  role: 'equality',
+  twoFactorEnabled: 'flag',
+};
+
 // hashing the password by pre-save middleware
 userSchema.pre('save', async function (next) {
   // only run this function if passord was modified
@@ -70,7 +139,7 @@ userSchema.pre('save', async function (next) {
   next();
 });
 
-userSchema.pre(/^find/, function (next) {
+userSchema.pre([/^find/, 'countDocuments'], function (next) {
   // this point to current query
   this.find({ active: { $ne: false } });
   next();
@@ -118,7 +187,133 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString('hex');
+
+  this.emailVerificationToken = crypto
+    .createHash('sha256')
+    .update(verificationToken)
+    .digest('hex');
+
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // Current time + 24 hours
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+// a new token invalidates the urls of the previous one
+userSchema.methods.createCalendarToken = function () {
+  const calendarToken = crypto.randomBytes(24).toString('hex');
+
+  this.calendarToken = hashCode(calendarToken);
+
+  return calendarToken;
+};
+
+// users from before email verification keep their access: their address
+// counts as verified. Runs on startup, does nothing once migrated.
+userSchema.statics.migrateEmailVerified = async function () {
+  await this.collection.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true } },
+  );
+};
+
+userSchema.statics.findByCalendarToken = function (token) {
+  return this.findOne({ calendarToken: hashCode(token) });
+};
+
+// resending the verification email is throttled
+userSchema.methods.canResendVerification = function () {
+  if (!this.emailVerificationSentAt) return true;
+
+  const interval =
+    (process.env.EMAIL_VERIFICATION_RESEND_MINUTES || 5) * 60 * 1000;
+  return this.emailVerificationSentAt.getTime() + interval < Date.now();
+};
+
+// needs +lockUntil selected
+userSchema.methods.isLocked = function () {
+  return !!this.lockUntil && this.lockUntil > Date.now();
+};
+
+// needs +failedLoginAttempts +lockCount selected
+// Returns true when this failure locked the account. Every lock in a row
+// doubles the lock time: 15min, 30min, 1h, ... capped at 24h.
+userSchema.methods.registerFailedLogin = function () {
+  const maxAttempts = process.env.LOGIN_MAX_ATTEMPTS * 1 || 5;
+  const baseMinutes = process.env.LOGIN_LOCK_MINUTES * 1 || 15;
+
+  this.failedLoginAttempts += 1;
+  if (this.failedLoginAttempts < maxAttempts) return false;
+
+  const minutes = Math.min(baseMinutes * 2 ** this.lockCount, 24 * 60);
+  this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+  this.lockCount += 1;
+  this.failedLoginAttempts = 0;
+
+  return true;
+};
+
+userSchema.methods.resetLoginAttempts = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+userSchema.methods.requiresTwoFactor = function () {
+  const roles = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'admin,lead-guide')
+    .split(',')
+    .map((el) => el.trim());
+
+  return roles.includes(this.role);
+};
+
+// needs +twoFactorSecret +twoFactorLastStep selected
+userSchema.methods.verifyTwoFactorCode = function (code, secret) {
+  const step = totp.verify(code, secret || this.twoFactorSecret);
+
+  // every code can be used only once
+  if (step === null || step <= (this.twoFactorLastStep || 0)) return false;
+
+  this.twoFactorLastStep = step;
+  return true;
+};
+
+userSchema.methods.createTwoFactorRecoveryCodes = function () {
+  const codes = Array.from({ length: 10 }, () =>
+    crypto.randomBytes(5).toString('hex'),
+  );
+
+  this.twoFactorRecoveryCodes = codes.map(hashCode);
+
+  return codes;
+};
+
+// needs +twoFactorRecoveryCodes selected
+userSchema.methods.useTwoFactorRecoveryCode = function (code) {
+  const hashedCode = hashCode(`${code}`.trim().toLowerCase());
+  const idx = this.twoFactorRecoveryCodes.indexOf(hashedCode);
+  if (idx === -1) return false;
+
+  this.twoFactorRecoveryCodes.splice(idx, 1);
+  return true;
+};
+
+userSchema.methods.resetTwoFactor = function () {
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorPendingSecret = undefined;
+  this.twoFactorRecoveryCodes = undefined;
+  this.twoFactorLastStep = undefined;
+};
+
 // creating a model
+// every write bumps __v, the ETag version
+userSchema.plugin(versioning.plugin);
+// query timings for /metrics
+userSchema.plugin(metrics.queryTimings);
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -0,0 +1,143 @@
+const express = require('express');
+const auditController = require('./../controllers/auditController');
+const authController = require('./../controllers/authController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit
+ *   description: Append-only log of administrative and security-sensitive actions
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit-events:
+ *   get:
+ *     summary: Query the audit log
+ *     description: Supports the usual filter, sort, fields and pagination parameters, e.g. `?action=tour.delete&createdAt[gte]=2025-01-01`.
+ *     tags:
+ *       - Audit
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: e.g. tour.delete, user.update, auth.password-reset
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: ID of the user who performed the action
+ *       - in: query
+ *         name: targetModel
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: A list of audit events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                             example: user.update
+ *                           actor:
+ *                             type: object
+ *                           actorRole:
+ *                             type: string
+ *                             example: admin
+ *                           targetModel:
+ *                             type: string
+ *                             example: User
+ *                           targetId:
+ *                             type: string
+ *                             example: 5c8a1ec62f8fb814b56fa183
+ *                           changes:
+ *                             type: object
+ *                             example: { "role": { "from": "user", "to": "guide" } }
+ *                           ip:
+ *                             type: string
+ *                             example: 127.0.0.1
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *       403:
+ *         description: Forbidden (User does not have permission)
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit-events/export.csv:
+ *   get:
+ *     summary: Export the audit log as CSV
+ *     description: Takes the same filters as the query endpoint, at most AUDIT_EXPORT_LIMIT (default 10000) rows.
+ *     tags:
+ *       - Audit
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Forbidden (User does not have permission)
+ */
+
+/**
+ * @swagger
+ * /api/v1/audit-events/{id}:
+ *   get:
+ *     summary: Get an audit event by ID
+ *     tags:
+ *       - Audit
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Audit event found
+ *       404:
+ *         description: No Document found with that ID
+ */
+
+// Protect and restrict all routes after this middleware
+router.use(authController.protect);
+router.use(authController.authorize('audit:read'));
+
+router.get('/', auditController.getAllAuditEvents);
+router.get('/export.csv', auditController.exportAuditEvents);
+router.get('/:id', auditController.getAuditEvent);
+
+module.exports = router;
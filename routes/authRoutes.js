@@ -1,6 +1,10 @@
 // routes/authRoutes.js
 const express = require("express");
 const authController = require("./../controllers/authController");
+const {
+  loginLimiter,
+  forgotPasswordLimiter,
+} = require("./../utils/rateLimiters");
 
 const router = express.Router();
 
@@ -19,6 +23,12 @@ const router = express.Router();
  *     description: Create a new user with email , password, firstName, lastName and role.
  *     tags:
  *       - Authentication
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key and body get the new user again, without tokens, instead of failing on the duplicate email. Log in to get a session.
  *     requestBody:
  *       required: true
  *       content:
@@ -49,6 +59,10 @@ const router = express.Router();
  *                 type: string
  *                 example: user
  *     responses:
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
  *       200:
  *         description: User registered successfully
  *         content:
@@ -164,6 +178,18 @@ const router = express.Router();
  *               message:
  *                type: string
  *                example: "Invalid credentials"
+ *       423:
+ *         description: Account locked after too many failed logins (LOGIN_MAX_ATTEMPTS, default 5), the lock time doubles with every lock
+ *         content:
+ *          application/json:
+ *            schema:
+ *              type: object
+ *              properties:
+ *               message:
+ *                type: string
+ *                example: "Too many failed login attempts! Your account is locked, please try again in 15 minutes."
+ *       429:
+ *         description: Too many login attempts from this IP for this email
  *       404:
  *         description: User not found
  *         content:
@@ -185,6 +211,12 @@ const router = express.Router();
  *     description: Send token to user email to reset password.
  *     tags:
  *       - Authentication
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key and body get the first response again without sending another email.
  *     requestBody:
  *       required: true
  *       content:
@@ -198,6 +230,10 @@ const router = express.Router();
  *                 type: string
  *                 example: user@example.com
  *     responses:
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
  *       200:
  *         description: Code sent successfully
  *         content:
@@ -238,7 +274,7 @@ const router = express.Router();
  * /api/v1/auth/resetPassword/{token}:
  *   patch:
  *     summary: Reset Password
- *     description: Verify token sent to user email to reset password.
+ *     description: Verify token sent to user email to reset password. Users with two-factor authentication get `twoFactorRequired` and a `pendingToken` instead of a session, to finish at /api/v1/auth/login/2fa.
  *     tags:
  *       - Authentication
  *     requestBody:
@@ -398,16 +434,302 @@ const router = express.Router();
  *                   type: string
  *                   example: jwt malformed
  */
-router.post("/signup", authController.signup);
-router.post("/login", authController.login);
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh the access token
+ *     description: Exchanges a refresh token (body or `refreshToken` cookie) for a new access token and a new refresh token. Reusing an already rotated refresh token ends the whole session.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 9f2c4e...
+ *     responses:
+ *       200:
+ *         description: New tokens issued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 token:
+ *                   type: string
+ *                   example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                 refreshToken:
+ *                   type: string
+ *                   example: 7b1d9a...
+ *       401:
+ *         description: Missing, invalid, expired or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: Refresh token reuse detected! Please login again.
+ */
+/**
+ * @swagger
+ * /api/v1/auth/login/2fa:
+ *   post:
+ *     summary: Second login step for accounts with 2FA
+ *     description: When login answers with `twoFactorRequired`, send the `pendingToken` (valid 5 minutes) with a TOTP code or one of the recovery codes.
+ *     tags:
+ *       - Authentication
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - pendingToken
+ *             properties:
+ *               pendingToken:
+ *                 type: string
+ *                 example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 example: 3f9a1c0b7e
+ *     responses:
+ *       200:
+ *         description: User logged in successfully
+ *       400:
+ *         description: Missing pending token or code
+ *       401:
+ *         description: Expired pending token or invalid code
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrolment
+ *     description: Returns a new TOTP secret and its otpauth URI, it is only active after `/2fa/enable`.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret generated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       example: JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP
+ *                     otpauthUrl:
+ *                       type: string
+ *                       example: otpauth://totp/Natours%3Aadmin%40natours.io?secret=JBSWY3DPEHPK3PXPJBSWY3DPEHPK3PXP&issuer=Natours
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/enable:
+ *   post:
+ *     summary: Finish two-factor enrolment
+ *     description: Confirms the secret with a first code and returns the recovery codes. They are shown only once.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       401:
+ *         description: Invalid two-factor code
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not possible for roles that require 2FA (TWO_FACTOR_REQUIRED_ROLES, default admin and lead-guide).
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *               - code
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: MyStrongPassword123
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: The role of the user requires two-factor authentication
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Generate new recovery codes
+ *     description: The previous recovery codes stop working.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes
+ *       401:
+ *         description: Invalid two-factor code
+ */
+/**
+ * @swagger
+ * /api/v1/auth/verifyEmail/{token}:
+ *   get:
+ *     summary: Verify email address
+ *     description: Link sent by email after signup, valid for 24 hours.
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email address verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 message:
+ *                   type: string
+ *                   example: Email address verified!
+ *       400:
+ *         description: Invalid Token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: fail
+ *                 message:
+ *                   type: string
+ *                   example: token is invalid or has expired
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/resendVerification:
+ *   post:
+ *     summary: Resend the verification email
+ *     description: Can be used once every EMAIL_VERIFICATION_RESEND_MINUTES (default 5) minutes.
+ *     tags:
+ *       - Authentication
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email address already verified
+ *       429:
+ *         description: A verification email was sent recently
+ *       500:
+ *         description: There was an error sending the email
+ */
+router.post("/signup", authController.validateSignup, authController.signup);
+router.post("/login", loginLimiter, authController.login);
+router.post("/login/2fa", loginLimiter, authController.loginTwoFactor);
 router.get("/logout", authController.logout);
+router.post("/refresh", authController.refresh);
 
-router.post("/forgotPassword", authController.forgotPassword);
+router.post(
+  "/forgotPassword",
+  forgotPasswordLimiter,
+  authController.forgotPassword
+);
 router.patch("/resetPassword/:token", authController.resetPassword);
+router.get("/verifyEmail/:token", authController.verifyEmail);
 
 // Protect all routes after this middleware
 router.use(authController.protect);
 
 router.patch("/updateMyPassword", authController.updatePassword);
+router.post("/resendVerification", authController.resendVerification);
+
+router.post("/2fa/setup", authController.setupTwoFactor);
+router.post("/2fa/enable", authController.enableTwoFactor);
+router.post("/2fa/disable", authController.disableTwoFactor);
+router.post("/2fa/recovery-codes", authController.regenerateRecoveryCodes);
 
 module.exports = router;
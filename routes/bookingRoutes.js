@@ -0,0 +1,271 @@
+const express = require('express');
+const bookingController = require('./../controllers/bookingController');
+const authController = require('./../controllers/authController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Bookings
+ *   description: Tour bookings and checkout endpoints
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/checkout-session/{tourId}:
+ *   post:
+ *     summary: Start a checkout session for a tour
+ *     description: Holds the seats on the start date, creates a pending booking and a checkout session with the configured payment provider.
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tourId
+ *         required: true
+ *         description: ID of the tour to book
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - startDate
+ *             properties:
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 example: 2021-06-19T09:00:00.000Z
+ *               participants:
+ *                 type: integer
+ *                 example: 2
+ *     responses:
+ *       201:
+ *         description: Checkout session created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 session:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                       example: fake_cs_4f1c2a9b8e7d6c5b4a3f2e1d
+ *                     url:
+ *                       type: string
+ *                       example: /api/v1/bookings/fake-gateway/fake_cs_4f1c2a9b8e7d6c5b4a3f2e1d
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       type: object
+ *       400:
+ *         description: Missing or unknown start date, or invalid participants
+ *       404:
+ *         description: Tour not found
+ *       409:
+ *         description: Not enough seats left on that start date
+ *       502:
+ *         description: The payment provider could not create the session
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/checkout-session/{sessionId}/confirm:
+ *   post:
+ *     summary: Confirm a checkout session
+ *     description: Asks the payment provider for the session status and marks the booking as paid or declined.
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking with its current status
+ *       404:
+ *         description: No booking or session found
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/fake-gateway/{sessionId}:
+ *   get:
+ *     summary: Get a fake gateway session
+ *     description: Only available when PAYMENT_PROVIDER is "fake". The checkout url of a fake gateway session points here, in place of a hosted checkout page. Sessions are kept for a day after they expire.
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The session, its booking and the urls to confirm or decline it
+ *       404:
+ *         description: No booking or session found, or fake gateway disabled
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/fake-gateway/{sessionId}/{outcome}:
+ *   post:
+ *     summary: Settle a fake gateway session
+ *     description: Only available when PAYMENT_PROVIDER is "fake". Confirms or declines the session like a hosted checkout page would.
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: outcome
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [confirm, decline]
+ *     responses:
+ *       200:
+ *         description: Booking after the session was settled
+ *       400:
+ *         description: Invalid outcome or session already settled
+ *       404:
+ *         description: No booking found or fake gateway disabled
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/my-bookings:
+ *   get:
+ *     summary: Get the bookings of the current user
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of bookings
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings:
+ *   get:
+ *     summary: Get all bookings
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of bookings
+ *       403:
+ *         description: Forbidden
+ *   post:
+ *     summary: Create a booking manually
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Booking created, a pending or paid booking holds its seats
+ *       409:
+ *         description: Not enough seats left on the start date
+ */
+
+/**
+ * @swagger
+ * /api/v1/bookings/{id}:
+ *   get:
+ *     summary: Get a booking by ID
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Booking found
+ *       404:
+ *         description: Booking not found
+ *   patch:
+ *     summary: Update a booking
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Booking updated, seats move with its status, start date and participants
+ *       409:
+ *         description: Not enough seats left on the start date
+ *       412:
+ *         description: The booking was changed during the update, fetch it again and retry
+ *   delete:
+ *     summary: Delete a booking
+ *     tags:
+ *       - Bookings
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Booking deleted, its seats are released
+ */
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.post('/checkout-session/:tourId', bookingController.getCheckoutSession);
+router.post(
+  '/checkout-session/:sessionId/confirm',
+  bookingController.confirmCheckout,
+);
+router.get('/fake-gateway/:sessionId', bookingController.getFakeSession);
+router.post(
+  '/fake-gateway/:sessionId/:outcome',
+  bookingController.settleFakeSession,
+);
+
+router.get('/my-bookings', bookingController.getMyBookings);
+
+// restrict all routes after this middleware
+router.use(authController.authorize('booking:manage'));
+
+router
+  .route('/')
+  .get(bookingController.getAllBookings)
+  .post(bookingController.validateNewBooking, bookingController.createBooking);
+
+router
+  .route('/:id')
+  .get(bookingController.getBooking)
+  .patch(
+    bookingController.validateBookingUpdate,
+    bookingController.updateBooking,
+  )
+  .delete(bookingController.deleteBooking);
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const regionController = require('./../controllers/regionController');
+const authController = require('./../controllers/authController');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   name: Regions
+ *   description: Named areas (e.g. national park outlines) to search tours in
+ */
+
+/**
+ * @swagger
+ * /api/v1/regions:
+ *   get:
+ *     summary: List regions
+ *     description: Supports the usual filter, sort, fields and pagination parameters, e.g. `?name[prefix]=yosemite&fields=name,slug`.
+ *     tags:
+ *       - Regions
+ *     responses:
+ *       200:
+ *         description: Regions found
+ *   post:
+ *     summary: Create a region
+ *     tags:
+ *       - Regions
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - geometry
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Yosemite National Park
+ *               description:
+ *                 type: string
+ *               geometry:
+ *                 type: object
+ *                 description: GeoJSON Polygon or MultiPolygon, [lng, lat] positions and closed rings
+ *                 example:
+ *                   type: Polygon
+ *                   coordinates: [[[-119.88, 37.49], [-119.2, 37.49], [-119.2, 38.19], [-119.88, 38.19], [-119.88, 37.49]]]
+ *     responses:
+ *       201:
+ *         description: Region created
+ *       400:
+ *         description: Invalid geometry
+ */
+
+/**
+ * @swagger
+ * /api/v1/regions/{id}:
+ *   get:
+ *     summary: Get a region with its geometry
+ *     tags:
+ *       - Regions
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Region found
+ *       404:
+ *         description: No Document found with that ID
+ *   patch:
+ *     summary: Update a region
+ *     tags:
+ *       - Regions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Region updated, a new name gives it a new slug
+ *       400:
+ *         description: Invalid geometry
+ *   delete:
+ *     summary: Delete a region
+ *     tags:
+ *       - Regions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Region deleted
+ */
+
+router
+  .route('/')
+  .get(regionController.getAllRegions)
+  .post(
+    authController.protect,
+    authController.authorize('region:manage'),
+    regionController.validateNewRegion,
+    regionController.createRegion,
+  );
+
+router
+  .route('/:id')
+  .get(regionController.getRegion)
+  .patch(
+    authController.protect,
+    authController.authorize('region:manage'),
+    regionController.validateRegionUpdate,
+    regionController.updateRegion,
+  )
+  .delete(
+    authController.protect,
+    authController.authorize('region:manage'),
+    regionController.deleteRegion,
+  );
+
+module.exports = router;
@@ -203,11 +203,17 @@ const router = express.Router({ mergeParams: true });
  * /api/v1/reviews:
  *   post:
  *     summary: Create a new review
- *     description: Add a new review to a specific tour.
+ *     description: Add a new review to a specific tour. Users must have verified their email address unless VERIFIED_EMAIL_REQUIRED_FOR leaves out "reviews".
  *     tags:
  *       - Reviews
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key and body get the first response again instead of creating a second review.
  *     requestBody:
  *       required: true
  *       content:
@@ -228,6 +234,10 @@ const router = express.Router({ mergeParams: true });
  *                 type: string
  *                 example: "5c8a1ec62f8fb814b56fa183"
  *     responses:
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
  *       201:
  *         description: Review created successfully
  *         content:
@@ -286,7 +296,7 @@ const router = express.Router({ mergeParams: true });
  *                   type: string
  *                   example: "Invalid request"
  *       403:
- *         description: Forbidden
+ *         description: Forbidden, or email address not verified yet
  *         content:
  *           application/json:
  *             schema:
@@ -575,7 +585,9 @@ router
   .route('/')
   .get(reviewController.getAllReviews)
   .post(
-    authController.restrictTo('user'),
+    authController.authorize('review:create'),
+    authController.requireVerifiedEmail('reviews'),
+    reviewController.validateNewReview,
     reviewController.setTourUserIds,
     reviewController.createReview,
   );
@@ -584,11 +596,12 @@ router
   .route('/:id')
   .get(reviewController.getReview)
   .patch(
-    authController.restrictTo('user', 'admin'),
+    authController.authorize('review:update'),
+    reviewController.validateReviewUpdate,
     reviewController.updateReview,
   )
   .delete(
-    authController.restrictTo('user', 'admin'),
+    authController.authorize('review:delete'),
     reviewController.deleteReview,
   );
 
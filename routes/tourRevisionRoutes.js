@@ -0,0 +1,155 @@
+const express = require('express');
+const tourRevisionController = require('./../controllers/tourRevisionController');
+const authController = require('./../controllers/authController');
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * @swagger
+ * tags:
+ *   name: Tour revisions
+ *   description: Version history of a tour's content, for whoever may edit the tour
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{tourId}/revisions:
+ *   get:
+ *     summary: List the revisions of a tour
+ *     description: Every create, update and restore of the tour's content (not its ratings, seats sold or publishing status) is stored as a numbered revision with its author and the changed fields. Newest first and without the full snapshots by default, pass `fields` to change that.
+ *     tags:
+ *       - Tour revisions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tourId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [baseline, create, update, restore]
+ *     responses:
+ *       200:
+ *         description: Revisions found
+ *       403:
+ *         description: Not allowed to edit this tour
+ *       404:
+ *         description: Tour not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{tourId}/revisions/diff:
+ *   get:
+ *     summary: Compare two revisions
+ *     description: 'Field level changes as `{ field: { from, to } }`.'
+ *     tags:
+ *       - Tour revisions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tourId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: to
+ *         description: A version, or `current` (the default) for the tour as it is now
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The changes
+ *       400:
+ *         description: Missing from
+ *       404:
+ *         description: Tour or revision not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{tourId}/revisions/{version}:
+ *   get:
+ *     summary: Get a revision, with its snapshot
+ *     tags:
+ *       - Tour revisions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tourId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Revision found
+ *       404:
+ *         description: Tour or revision not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{tourId}/revisions/{version}/restore:
+ *   post:
+ *     summary: Roll the tour back to a revision
+ *     description: Puts the revision's content back and stores that as a new revision, so the restore can be undone too. Seats already sold are kept, departures with sold seats are never removed.
+ *     tags:
+ *       - Tour revisions
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tourId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: The restored tour
+ *       400:
+ *         description: The restored content no longer passes validation
+ *       404:
+ *         description: Tour or revision not found
+ */
+
+router.use(
+  authController.protect,
+  authController.authorize('tour:update'),
+  tourRevisionController.loadTour,
+);
+
+router
+  .route('/')
+  .get(
+    tourRevisionController.setListDefaults,
+    tourRevisionController.getAllRevisions,
+  );
+
+router.route('/diff').get(tourRevisionController.diffRevisions);
+
+router.route('/:version').get(tourRevisionController.getRevision);
+
+router.route('/:version/restore').post(tourRevisionController.restoreRevision);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const tourController = require('./../controllers/tourController');
 const authController = require('./../controllers/authController');
+const calendarController = require('./../controllers/calendarController');
 const reviewRouter = require('./../routes/reviewRoutes');
+const revisionRouter = require('./../routes/tourRevisionRoutes');
+const metrics = require('./../utils/metrics');
 
 const router = express.Router();
 /**
@@ -16,7 +19,7 @@ const router = express.Router();
  * /api/v1/tours:
  *   get:
  *     summary: Retrieve all tours
- *     description: Fetch a list of all tours with detailed information.
+ *     description: Fetch a list of all tours with detailed information. The public only sees published tours, logged in staff also the drafts, tours in review and archived ones they may preview. Filters are `field=value` or `field[operator]=value` with the operators eq, ne, in, nin, exists, gt, gte, lt, lte, prefix and contains, as far as the field supports them. Unknown fields, operators or invalid values, and the parameters of other endpoints such as `bbox` or `from`, return 400.
  *     tags:
  *       - Tours
  *     parameters:
@@ -29,22 +32,54 @@ const router = express.Router();
  *         name: limit
  *         schema:
  *           type: integer
- *         description: Limit the number of returned tours
+ *         description: Limit the number of returned tours (at most MAX_PAGE_SIZE, default 100)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *         description: Page number for offset pagination
+ *       - in: query
+ *         name: pagination
+ *         schema:
+ *           type: string
+ *           enum: [cursor]
+ *         description: Opt in to cursor (keyset) pagination for the first page
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor from meta.nextCursor or meta.prevCursor
  *       - in: query
  *         name: fields
  *         schema:
  *           type: string
  *         description: Select specific fields to return (comma-separated)
  *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: string
+ *           example: difficulty,price,duration,ratingsAverage
+ *         description: Also return counts per difficulty, price, duration or rating bucket. Each facet honours the other filters, not the one on its own field.
+ *       - in: query
  *         name: difficulty
  *         schema:
- *           type: integer
- *         description: Filter tours by difficulty level
+ *           type: string
+ *         description: Filter tours by difficulty level, comma-separated for several (`easy,medium`) or `difficulty[ne]=easy`
  *       - in: query
  *         name: duration [gte] or [lte]
  *         schema:
  *           type: string
  *         description: Filter tours by minimum or maximum duration
+ *       - in: query
+ *         name: name [prefix] or [contains]
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive name filter, the value is matched literally
+ *       - in: query
+ *         name: startLocation.address [prefix] or [contains]
+ *         schema:
+ *           type: string
+ *         description: Nested fields are filtered with dot notation
  *     responses:
  *       200:
  *         description: Successfully retrieved tours
@@ -59,6 +94,41 @@ const router = express.Router();
  *                 results:
  *                   type: integer
  *                   example: 1
+ *                 meta:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                       example: 9
+ *                     limit:
+ *                       type: integer
+ *                       example: 1
+ *                     page:
+ *                       type: integer
+ *                       example: 1
+ *                     totalPages:
+ *                       type: integer
+ *                       example: 9
+ *                     nextCursor:
+ *                       type: string
+ *                       description: Only with cursor pagination
+ *                     prevCursor:
+ *                       type: string
+ *                       description: Only with cursor pagination
+ *                     links:
+ *                       type: object
+ *                       properties:
+ *                         next:
+ *                           type: string
+ *                           example: http://localhost:3000/api/v1/tours?limit=1&page=2
+ *                         prev:
+ *                           type: string
+ *                 facets:
+ *                   type: object
+ *                   description: Only with the facets parameter
+ *                   example:
+ *                     difficulty: [{ value: easy, count: 4 }, { value: medium, count: 3 }, { value: difficult, count: 2 }]
+ *                     price: [{ min: 0, max: 500, count: 3 }, { min: 500, max: 1000, count: 4 }, { min: 1000, max: 2000, count: 1 }, { min: 2000, count: 1 }]
  *                 data:
  *                   type: object
  *                   properties:
@@ -118,11 +188,24 @@ const router = express.Router();
  *                           startDates:
  *                             type: array
  *                             items:
- *                               type: string
- *                               format: date-time
- *                             example:
- *                               - "2021-06-19T09:00:00.000Z"
- *                               - "2021-07-20T09:00:00.000Z"
+ *                               type: object
+ *                               properties:
+ *                                 date:
+ *                                   type: string
+ *                                   format: date-time
+ *                                   example: "2021-06-19T09:00:00.000Z"
+ *                                 capacity:
+ *                                   type: integer
+ *                                   example: 15
+ *                                 seatsSold:
+ *                                   type: integer
+ *                                   example: 12
+ *                                 soldOut:
+ *                                   type: boolean
+ *                                   example: false
+ *                                 seatsAvailable:
+ *                                   type: integer
+ *                                   example: 3
  *                           guides:
  *                             type: array
  *                             items:
@@ -170,9 +253,16 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Unique ID of the tour
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag of a previous response, answered with 304 while the tour is unchanged
  *     responses:
+ *       304:
+ *         description: Not modified since the given ETag
  *       200:
- *         description: Successfully retrieved the tour data
+ *         description: Successfully retrieved the tour data. The ETag header holds the tour's version.
  *         content:
  *           application/json:
  *             schema:
@@ -245,11 +335,24 @@ const router = express.Router();
  *                         startDates:
  *                           type: array
  *                           items:
- *                             type: string
- *                             format: date-time
- *                           example:
- *                             - "2021-06-19T09:00:00.000Z"
- *                             - "2021-07-20T09:00:00.000Z"
+ *                             type: object
+ *                             properties:
+ *                               date:
+ *                                 type: string
+ *                                 format: date-time
+ *                                 example: "2021-06-19T09:00:00.000Z"
+ *                               capacity:
+ *                                 type: integer
+ *                                 example: 15
+ *                               seatsSold:
+ *                                 type: integer
+ *                                 example: 12
+ *                               soldOut:
+ *                                 type: boolean
+ *                                 example: false
+ *                               seatsAvailable:
+ *                                 type: integer
+ *                                 example: 3
  *                         guides:
  *                           type: array
  *                           items:
@@ -292,6 +395,12 @@ const router = express.Router();
  *       - Tours
  *     security:
  *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *         description: Retries with the same key and body get the first response again (with an Idempotent-Replayed header) instead of creating a second tour. Keys are kept for IDEMPOTENCY_KEY_TTL_HOURS (default 24).
  *     requestBody:
  *       required: true
  *       content:
@@ -341,13 +450,16 @@ const router = express.Router();
  *                 example: ["sahara1.jpg", "sahara2.jpg", "sahara3.jpg"]
  *               startDates:
  *                 type: array
+ *                 description: Plain dates are accepted too, capacity defaults to maxGroupSize
  *                 items:
- *                   type: string
- *                   format: date-time
- *                 example: ["2025-06-01T00:00:00.000Z", "2025-07-15T00:00:00.000Z", "2025-09-10T00:00:00.000Z"]
- *               secretTour:
- *                 type: boolean
- *                 example: false
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date-time
+ *                     capacity:
+ *                       type: integer
+ *                 example: [{ "date": "2025-06-01T00:00:00.000Z", "capacity": 10 }, { "date": "2025-07-15T00:00:00.000Z" }]
  *               startLocation:
  *                 type: object
  *                 properties:
@@ -393,6 +505,10 @@ const router = express.Router();
  *                   type: string
  *                   example: "60c72b2f9b1d4c34d4fcb034"
  *     responses:
+ *       409:
+ *         description: A request with this Idempotency-Key is still being processed
+ *       422:
+ *         description: The Idempotency-Key was already used with a different body
  *       200:
  *         description: Tour created successfully
  *         content:
@@ -431,6 +547,11 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Unique ID of the tour to update
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: The ETag the edit is based on. When the tour changed since, nothing is updated and the answer is 412.
  *     requestBody:
  *       required: true
  *       content:
@@ -474,7 +595,11 @@ const router = express.Router();
  *                 message:
  *                   type: string
  *                   example: No Document found with that ID
- * 
+ *       400:
+ *         description: Invalid data, e.g. a start date with seats sold removed or given a capacity below them
+ *       412:
+ *         description: The tour was changed since the If-Match ETag, or a seat was sold while the start dates were edited; fetch it again and retry
+ *
  */
 
 /**
@@ -494,7 +619,14 @@ const router = express.Router();
  *         schema:
  *           type: string
  *         description: Unique ID of the tour to delete
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: Only delete the tour while it still has this ETag
  *     responses:
+ *       412:
+ *         description: The tour was changed since the If-Match ETag
  *       204:
  *         description: Tour Deleted successfully (No content)
  *       401:
@@ -505,6 +637,54 @@ const router = express.Router();
  *         description: No Document found with that ID
  */
 
+/**
+ * @swagger
+ * /api/v1/tours/{id}/status:
+ *   patch:
+ *     summary: Move a tour through draft, in-review, published and archived
+ *     description: Allowed moves are draft to in-review or published, in-review to draft or published, published to draft or archived and archived to draft. Guides of the tour can move it between draft and in-review, everything else (including the publish window) needs the tour:publish permission. Only published tours inside their publish window are visible to the public.
+ *     tags:
+ *       - Tours
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [draft, in-review, published, archived]
+ *                 example: published
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: 2025-03-01T08:00:00.000Z
+ *               unpublishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 example: 2025-10-31T22:00:00.000Z
+ *     responses:
+ *       200:
+ *         description: The updated tour
+ *       400:
+ *         description: Transition not allowed, or unpublishAt before publishAt
+ *       403:
+ *         description: Forbidden (User does not have permission)
+ *       404:
+ *         description: No Document found with that ID
+ */
+
 /**
  * @swagger
  * /api/v1/tours/top-5-cheap:
@@ -742,12 +922,81 @@ const router = express.Router();
  *                   example: "Please provide latitude and longitude in the format lat,lng."
  */
 
+/**
+ * @swagger
+ * /api/v1/tours/tours-within:
+ *   get:
+ *     summary: Get tours within a circle, a polygon or a region
+ *     description: Give exactly one of `center` (with `distance` and `unit`), `polygon` or `region`. Coordinates are validated, lat from -90 to 90 and lng from -180 to 180.
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: query
+ *         name: center
+ *         schema:
+ *           type: string
+ *           example: "34.111745,-118.113491"
+ *         description: Latitude and longitude in the format lat,lng
+ *       - in: query
+ *         name: distance
+ *         schema:
+ *           type: number
+ *           example: 233
+ *       - in: query
+ *         name: unit
+ *         schema:
+ *           type: string
+ *           enum: [mi, km]
+ *       - in: query
+ *         name: polygon
+ *         schema:
+ *           type: string
+ *           example: "-119.88,37.49;-119.2,37.49;-119.2,38.19;-119.88,38.19"
+ *         description: A ring as lng,lat pairs separated by semicolons (closed automatically), or a GeoJSON Polygon/MultiPolygon
+ *       - in: query
+ *         name: region
+ *         schema:
+ *           type: string
+ *           example: yosemite-national-park
+ *         description: Slug or id of a stored region
+ *     responses:
+ *       200:
+ *         description: Tours retrieved successfully
+ *       400:
+ *         description: Invalid coordinates, polygon or search area
+ *       404:
+ *         description: Unknown region
+ *   post:
+ *     summary: Get tours within a large GeoJSON polygon
+ *     description: Same as the GET form, with the search area in the body for outlines too long for a URL.
+ *     tags:
+ *       - Tours
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               polygon:
+ *                 type: object
+ *                 description: GeoJSON Polygon, MultiPolygon or a Feature with one
+ *                 example:
+ *                   type: Polygon
+ *                   coordinates: [[[-119.88, 37.49], [-119.2, 37.49], [-119.2, 38.19], [-119.88, 38.19], [-119.88, 37.49]]]
+ *     responses:
+ *       200:
+ *         description: Tours retrieved successfully
+ *       400:
+ *         description: Invalid polygon
+ */
+
 /**
  * @swagger
  * /api/v1/tours/distances/{latlng}/unit/{unit}:
  *   get:
  *     summary: Get distances of tours from a specified location
- *     description: Retrieves the distances of all tours from a given geographical point, sorted by proximity.
+ *     description: Retrieves the distances of the tours from a given geographical point, sorted by proximity.
  *     tags:
  *       - Tours
  *     parameters:
@@ -766,6 +1015,18 @@ const router = express.Router();
  *           enum: [mi, km]
  *           example: km
  *         description: Unit of distance (miles or kilometers)
+ *       - in: query
+ *         name: maxDistance
+ *         schema:
+ *           type: number
+ *           example: 200
+ *         description: Only tours closer than this, in the given unit
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           example: 5
+ *         description: Number of closest tours to return (at most MAX_PAGE_SIZE, default 100)
  *     responses:
  *       200:
  *         description: Distances retrieved successfully
@@ -807,21 +1068,360 @@ const router = express.Router();
  *                   example: "Please provide latitude and longitude in the format lat,lng."
  */
 
+/**
+ * @swagger
+ * /api/v1/tours/search:
+ *   get:
+ *     summary: Full-text search across tours
+ *     description: Searches name, summary and description (weighted 10, 5 and 1), tolerates typos and returns highlighted snippets. Ordered by relevance unless `sort` is given; the usual filters, `fields`, `page` and `limit` still apply.
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: forest hikr
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           example: easy
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           example: price
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Matching tours
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                   example: 1
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tours:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: The Forest Hiker
+ *                           score:
+ *                             type: number
+ *                             example: 21.5
+ *                           highlights:
+ *                             type: object
+ *                             example: { "name": "The <em>Forest</em> <em>Hiker</em>" }
+ *       400:
+ *         description: Missing search query
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Please provide a search query with ?q="
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/available:
+ *   get:
+ *     summary: Find tours with free seats in a date window
+ *     description: Tours with a departure that starts and ends between `from` and `to` and has enough free seats for the group, ordered by the earliest matching departure. The usual filters, `page` and `limit` still apply.
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: 2021-06-10
+ *       - in: query
+ *         name: to
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date
+ *           example: 2021-06-20
+ *       - in: query
+ *         name: participants
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *           example: 4
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           example: easy
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tours and their matching departures
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                   example: 1
+ *                 total:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tours:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           name:
+ *                             type: string
+ *                             example: The Forest Hiker
+ *                           duration:
+ *                             type: integer
+ *                             example: 5
+ *                           departures:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *                               properties:
+ *                                 date:
+ *                                   type: string
+ *                                   format: date-time
+ *                                   example: 2021-06-12T09:00:00.000Z
+ *                                 seatsAvailable:
+ *                                   type: integer
+ *                                   example: 6
+ *       400:
+ *         description: Missing or invalid date window or participants
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Please provide a date window with ?from=YYYY-MM-DD&to=YYYY-MM-DD"
+ */
+
+
+/**
+ * @swagger
+ * /api/v1/tours/map:
+ *   get:
+ *     summary: Tour start locations inside a map viewport, as GeoJSON
+ *     description: Returns a FeatureCollection (`application/geo+json`) with a Point feature per tour. Below CLUSTER_MAX_ZOOM (default 8) nearby tours are merged into cluster features with `cluster`, `pointCount`, `bbox` and the tour ids. The usual filters still apply.
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: query
+ *         name: bbox
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: -125,24,-66,50
+ *         description: minLng,minLat,maxLng,maxLat. A viewport across the antimeridian has minLng > maxLng.
+ *       - in: query
+ *         name: zoom
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 22
+ *           example: 4
+ *         description: Map zoom level, no clustering without it
+ *       - in: query
+ *         name: difficulty
+ *         schema:
+ *           type: string
+ *           example: easy
+ *     responses:
+ *       200:
+ *         description: FeatureCollection of tours and clusters
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               example:
+ *                 type: FeatureCollection
+ *                 bbox: [-125, 24, -66, 50]
+ *                 clustered: true
+ *                 features:
+ *                   - type: Feature
+ *                     geometry: { type: Point, coordinates: [-80.185942, 25.774772] }
+ *                     properties: { id: 5c88fa8cf4afda39709c2951, name: The Sea Explorer, price: 497 }
+ *                   - type: Feature
+ *                     geometry: { type: Point, coordinates: [-116.2, 37.1] }
+ *                     properties: { cluster: true, pointCount: 3, bbox: [-118.1, 36.1, -115.1, 38.2], tours: [] }
+ *       400:
+ *         description: Missing or invalid bbox or zoom
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: "Please provide the viewport as ?bbox=minLng,minLat,maxLng,maxLat"
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}/itinerary:
+ *   get:
+ *     summary: A tour's itinerary as GeoJSON
+ *     description: Returns a FeatureCollection (`application/geo+json`) with the start location, every stop ordered by day and a LineString route through them. Features are told apart by `properties.kind` (start, stop, route).
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: FeatureCollection of the itinerary
+ *         content:
+ *           application/geo+json:
+ *             schema:
+ *               type: object
+ *               example:
+ *                 type: FeatureCollection
+ *                 properties: { id: 5c88fa8cf4afda39709c2951, name: The Forest Hiker, slug: the-forest-hiker }
+ *                 features:
+ *                   - type: Feature
+ *                     geometry: { type: Point, coordinates: [-116.214531, 51.417611] }
+ *                     properties: { kind: start, day: 0, address: "224 Banff Ave, Banff, AB, Canada" }
+ *                   - type: Feature
+ *                     geometry: { type: Point, coordinates: [-116.214531, 51.417611] }
+ *                     properties: { kind: stop, day: 1, description: Banff National Park }
+ *                   - type: Feature
+ *                     geometry: { type: LineString, coordinates: [[-116.214531, 51.417611], [-116.214531, 51.417611]] }
+ *                     properties: { kind: route }
+ *       404:
+ *         description: Tour not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}/itinerary.{format}:
+ *   get:
+ *     summary: Download a tour's itinerary as GPX or KML
+ *     description: For GPS devices (GPX) and Google Earth (KML). Waypoints for the start location and every stop, named after their description, and one track segment per day.
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [gpx, kml]
+ *     responses:
+ *       200:
+ *         description: The itinerary file, sent as an attachment named after the tour slug
+ *         content:
+ *           application/gpx+xml:
+ *             schema:
+ *               type: string
+ *           application/vnd.google-earth.kml+xml:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Tour not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/tours/{id}/departures.ics:
+ *   get:
+ *     summary: Subscribe to a tour's departures
+ *     description: iCalendar feed with an event per start date, lasting the tour duration. Start dates without a time are all-day events, other times are in UTC so calendar apps show them in the subscriber's time zone.
+ *     tags:
+ *       - Tours
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Tour not found
+ */
 
 // POST /tour/234fad4/reviews
 // GET /tour/234fad4/reviews
-router.use('/:tourId/reviews', reviewRouter);
+router.use('/:tourId/reviews', reviewRouter, metrics.routeErrors);
+
+// GET /tour/234fad4/revisions
+router.use('/:tourId/revisions', revisionRouter, metrics.routeErrors);
 
 router
   .route('/top-5-cheap')
   .get(tourController.aliasTopTtours, tourController.getAllTours);
 
+router.route('/search').get(tourController.searchTours);
+
+router.route('/available').get(tourController.getAvailableTours);
+
 router.route('/tour-stats').get(tourController.getTourStats);
 router
   .route('/monthly-plan/:year')
   .get(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide', 'guide'),
+    authController.authorize('tour:plan:read'),
     tourController.getMonthlyPlan,
   );
 
@@ -829,34 +1429,62 @@ router
   .route('/tours-within/:distance/center/:latlng/unit/:unit')
   .get(tourController.getToursWithin);
 // /tours-within?distance=233&center=-40,45&unit=mi
-// /tours-within/233/center/-40,45/unit/mi
+// /tours-within?polygon=...  /tours-within?region=...
+router
+  .route('/tours-within')
+  .get(tourController.getToursWithin)
+  .post(tourController.getToursWithin);
 
 router
   .route('/distances/:latlng/unit/:unit')
   .get(tourController.getDistances);
 
+router.route('/map').get(tourController.getToursMap);
+
+router.route('/:id/itinerary').get(tourController.getItinerary);
+router
+  .route('/:id/itinerary.:format(gpx|kml)')
+  .get(tourController.exportItinerary);
+router
+  .route('/:id/departures.ics')
+  .get(calendarController.getTourDepartures);
+
+// staff also see the tours that aren't published
 router
   .route('/')
-  .get(tourController.getAllTours)
+  .get(authController.identify, tourController.getAllTours)
   .post(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide'),
+    authController.authorize('tour:create'),
+    tourController.rejectStatusFields,
+    tourController.validateNewTour,
+    tourController.setCreatorAsGuide,
     tourController.createTour,
   );
 
+router
+  .route('/:id/status')
+  .patch(
+    authController.protect,
+    authController.authorize('tour:update'),
+    tourController.updateTourStatus,
+  );
+
 router
   .route('/:id')
-  .get(tourController.getTour)
+  .get(authController.identify, tourController.getTour)
   .patch(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide'),
+    authController.authorize('tour:update'),
     tourController.uploadTourImages,
     tourController.resizeTourImages,
+    tourController.rejectStatusFields,
+    tourController.validateTourUpdate,
     tourController.updateTour,
   )
   .delete(
     authController.protect,
-    authController.restrictTo('admin', 'lead-guide'),
+    authController.authorize('tour:delete'),
     tourController.deleteTour,
   );
 
@@ -2,6 +2,8 @@ const express = require("express");
 const multer = require("multer");
 const userController = require("./../controllers/userController");
 const authController = require("./../controllers/authController");
+const sessionController = require("./../controllers/sessionController");
+const calendarController = require("./../controllers/calendarController");
 
 const router = express.Router();
 
@@ -343,7 +345,7 @@ const router = express.Router();
  * /api/v1/users/updateMe:
  *   patch:
  *     summary: Update current user profile
- *     description: Update the authenticated user's profile details. Cannot update password here.
+ *     description: Update the authenticated user's profile details. Cannot update password here. A new email address is unverified until the link emailed to it is opened, earlier verification links stop working.
  *     tags:
  *       - Users
  *     security:
@@ -401,6 +403,218 @@ const router = express.Router();
  *         description: User not found
  */
 
+/**
+ * @swagger
+ * /api/v1/users/me/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     description: Every logged in device has its own session, the one of the current request is flagged with `current`.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: A list of sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 results:
+ *                   type: integer
+ *                   example: 1
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           _id:
+ *                             type: string
+ *                             example: 6820b1f4c2a8e0d5f4b7a123
+ *                           userAgent:
+ *                             type: string
+ *                             example: Mozilla/5.0 (X11; Linux x86_64)
+ *                           ip:
+ *                             type: string
+ *                             example: 127.0.0.1
+ *                           createdAt:
+ *                             type: string
+ *                             format: date-time
+ *                           lastUsedAt:
+ *                             type: string
+ *                             format: date-time
+ *                           current:
+ *                             type: boolean
+ *                             example: true
+ *   delete:
+ *     summary: Sign out all other devices
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Other sessions revoked (No content)
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/me/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of my sessions
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Session revoked (No content)
+ *       404:
+ *         description: No active session found with that ID
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/2fa/reset:
+ *   patch:
+ *     summary: Reset the two-factor authentication of a user
+ *     description: For users who lost their authenticator and recovery codes. Users with a role that requires 2FA have to enrol again.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication has been reset
+ *       403:
+ *         description: Forbidden (User does not have permission)
+ *       404:
+ *         description: No Document found with that ID
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock a user account
+ *     description: Clears the failed login attempts and the lock of an account.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The account has been unlocked
+ *       403:
+ *         description: Forbidden (User does not have permission)
+ *       404:
+ *         description: No Document found with that ID
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/me/calendar-token:
+ *   post:
+ *     summary: Create the urls of my calendar feeds
+ *     description: Calendar apps can't log in, so the feeds are protected by a secret token in the url. Creating a new token invalidates the previous urls.
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       201:
+ *         description: The feed urls
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     feeds:
+ *                       type: object
+ *                       properties:
+ *                         bookings:
+ *                           type: string
+ *                           example: http://localhost:3000/api/v1/users/calendar/3f1c...9a/bookings.ics
+ *                         guiding:
+ *                           type: string
+ *                           example: http://localhost:3000/api/v1/users/calendar/3f1c...9a/guiding.ics
+ *   delete:
+ *     summary: Disable my calendar feeds
+ *     tags:
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       204:
+ *         description: Feeds disabled (No content)
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/calendar/{token}/{feed}.ics:
+ *   get:
+ *     summary: Subscribe to my booked or guided departures
+ *     description: iCalendar feed for calendar apps. `bookings` has the paid bookings, `guiding` the departures of every tour the user guides. Events last the tour duration, start dates without a time are all-day events and other times are in UTC.
+ *     tags:
+ *       - Users
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: feed
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [bookings, guiding]
+ *     responses:
+ *       200:
+ *         description: The calendar
+ *         content:
+ *           text/calendar:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Unknown or disabled token
+ */
+
+// calendar apps fetch these without logging in
+router.get("/calendar/:token/bookings.ics", calendarController.getBookingsFeed);
+router.get("/calendar/:token/guiding.ics", calendarController.getGuidingFeed);
+
 // Protect all routes after this middleware
 router.use(authController.protect);
 
@@ -415,8 +629,19 @@ router.patch(
 
 router.delete("/deleteMe", userController.deleteMe);
 
+router
+  .route("/me/sessions")
+  .get(sessionController.getMySessions)
+  .delete(sessionController.revokeOtherSessions);
+router.delete("/me/sessions/:id", sessionController.revokeSession);
+
+router
+  .route("/me/calendar-token")
+  .post(calendarController.createCalendarToken)
+  .delete(calendarController.deleteCalendarToken);
+
 // restrict all routes after this middleware
-router.use(authController.restrictTo("admin"));
+router.use(authController.authorize("user:manage"));
 
 router
   .route("/")
@@ -426,7 +651,10 @@ router
 router
   .route("/:id")
   .get(userController.getUser)
-  .patch(userController.updateUser)
+  .patch(userController.validateUserUpdate, userController.updateUser)
   .delete(userController.deleteUser);
 
+router.patch("/:id/2fa/reset", userController.resetTwoFactor);
+router.patch("/:id/unlock", userController.unlockUser);
+
 module.exports = router;
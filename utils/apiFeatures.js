@@ -1,55 +1,502 @@
+const AppError = require('./appError');
+const { escapeRegex } = require('./search');
+
+const defaultPageSize = () => process.env.DEFAULT_PAGE_SIZE * 1 || 100;
+// enforced for every model, larger limits are capped
+const maxPageSize = () => process.env.MAX_PAGE_SIZE * 1 || 100;
+
+// cursors are opaque to clients: base64url encoded JSON
+const encodeCursor = (cursor) =>
+  Buffer.from(JSON.stringify(cursor)).toString('base64url');
+
+const decodeCursor = (str) => {
+  try {
+    return JSON.parse(Buffer.from(`${str}`, 'base64url').toString());
+  } catch (err) {
+    return null;
+  }
+};
+
+const getPath = (doc, path) =>
+  doc.get
+    ? doc.get(path)
+    : path.split('.').reduce((obj, key) => obj && obj[key], doc);
+
+// operator sets the models can refer to by name in their `filterable`
+// whitelist, see filter()
+const OPERATOR_SETS = {
+  equality: ['eq', 'ne', 'in', 'nin', 'exists'],
+  range: ['eq', 'ne', 'in', 'nin', 'exists', 'gt', 'gte', 'lt', 'lte'],
+  text: ['eq', 'ne', 'in', 'nin', 'exists', 'prefix', 'contains'],
+  flag: ['eq', 'ne', 'exists'],
+};
+
+// prefix and contains are matched literally, client patterns would let a
+// single request keep the database busy
+const MAX_PATTERN_LENGTH = 100;
+
+const operatorsFor = (set) =>
+  Array.isArray(set) ? set : OPERATOR_SETS[set] || [];
+
+const invalidValue = (field, value, hint) => {
+  const shown = typeof value === 'string' ? value : JSON.stringify(value);
+  return new AppError(
+    `Invalid value "${shown}" for "${field}".${hint ? ` ${hint}` : ''}`,
+    400,
+    { code: 'INVALID_QUERY' },
+  );
+};
+
+// casts a query string value with the schema type of the field
+const castValue = (field, value, schemaType) => {
+  if (typeof value !== 'string') throw invalidValue(field, value);
+  if (!schemaType) return value;
+
+  // arrays like guides or images are filtered by their elements
+  const caster = schemaType.caster || schemaType;
+  const enumValues = caster.enumValues || [];
+  if (enumValues.length && !enumValues.includes(value)) {
+    throw invalidValue(field, value, `Use one of: ${enumValues.join(', ')}`);
+  }
+
+  try {
+    return caster.cast(value);
+  } catch (err) {
+    throw invalidValue(field, value);
+  }
+};
+
+const toList = (value) =>
+  (Array.isArray(value) ? value : `${value}`.split(',')).filter(
+    (el) => el !== '',
+  );
+
+const castOperator = (field, op, value, schemaType) => {
+  switch (op) {
+    case 'in':
+    case 'nin':
+      return toList(value).map((el) => castValue(field, el, schemaType));
+    case 'exists':
+      if (!['true', 'false'].includes(value)) {
+        throw invalidValue(field, value, 'Use true or false');
+      }
+      return value === 'true';
+    case 'prefix':
+    case 'contains':
+      if (typeof value !== 'string') throw invalidValue(field, value);
+      if (value.length > MAX_PATTERN_LENGTH) {
+        throw invalidValue(
+          field,
+          value,
+          `Use at most ${MAX_PATTERN_LENGTH} characters`,
+        );
+      }
+      return {
+        $regex: `${op === 'prefix' ? '^' : ''}${escapeRegex(value)}`,
+        $options: 'i',
+      };
+    default:
+      return castValue(field, value, schemaType);
+  }
+};
+
+// field=a -> eq, field=a,b (or repeated) -> in, field[op]=a -> op
+const buildCondition = (field, value, allowed, schemaType) => {
+  let ops;
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    ops = value;
+  } else if (
+    allowed.includes('in') &&
+    (Array.isArray(value) || `${value}`.includes(','))
+  ) {
+    ops = { in: value };
+  } else {
+    ops = { eq: value };
+  }
+
+  const condition = {};
+  Object.entries(ops).forEach(([op, val]) => {
+    if (!allowed.includes(op)) {
+      const hint = `Use one of: ${allowed.join(', ')}`;
+      throw new AppError(
+        `Operator "${op}" is not supported for "${field}". ${hint}`,
+        400,
+        { code: 'INVALID_QUERY' },
+      );
+    }
+
+    const casted = castOperator(field, op, val, schemaType);
+    if (op === 'prefix' || op === 'contains') {
+      if (condition.$regex) {
+        throw new AppError(
+          `Use only one of prefix and contains for "${field}"`,
+          400,
+          { code: 'INVALID_QUERY' },
+        );
+      }
+      Object.assign(condition, casted);
+    } else {
+      condition[`$${op}`] = casted;
+    }
+  });
+  return condition;
+};
+
+// $facet sub-pipeline counting the documents per value or bucket
+const facetStages = (field, definition) => {
+  if (definition.type === 'terms') {
+    return [
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+    ];
+  }
+
+  return [
+    {
+      $bucket: {
+        groupBy: `$${field}`,
+        boundaries: [...definition.boundaries, Infinity],
+        default: 'other',
+        output: { count: { $sum: 1 } },
+      },
+    },
+  ];
+};
+
+// { value, count } per term, enum values without documents included, or
+// { min, max, count } per bucket, empty buckets included
+const formatFacet = (definition, results, schemaType) => {
+  if (definition.type === 'terms') {
+    const counts = results
+      .filter((el) => el._id !== null)
+      .map((el) => ({ value: el._id, count: el.count }));
+    ((schemaType && schemaType.enumValues) || []).forEach((value) => {
+      if (!counts.some((el) => el.value === value)) {
+        counts.push({ value, count: 0 });
+      }
+    });
+    return counts;
+  }
+
+  const { boundaries } = definition;
+  return boundaries.map((min, idx) => {
+    const bucket = results.find((el) => el._id === min);
+    const max = boundaries[idx + 1];
+    return {
+      min,
+      ...(max !== undefined && { max }),
+      count: bucket ? bucket.count : 0,
+    };
+  });
+};
+
 class APIFeatures {
   constructor(query, queryString) {
     this.query = query;
     this.queryString = queryString;
+    this.sortFields = [['_id', 1]];
   }
 
-  filter() {
+  // ?difficulty=easy,medium&price[gte]=500&name[prefix]=the
+  // &startLocation.address[contains]=miami
+  // Only the model's `filterable` fields and operators are accepted, values
+  // are cast with the schema type. `params` are the other parameters the
+  // endpoint reads, e.g. the `bbox` of /tours/map.
+  filter(params = []) {
     // 1A)filtring
     const queryObj = { ...this.queryString };
-    const excludedFields = ['page', 'sort', 'limit', 'fields'];
+    const excludedFields = [
+      'page',
+      'sort',
+      'limit',
+      'fields',
+      'cursor',
+      'pagination',
+      'facets',
+      ...params,
+    ];
     excludedFields.forEach((el) => delete queryObj[el]);
 
     // 1B)advanced filtring
-    let queryStr = JSON.stringify(queryObj);
-    queryStr = queryStr.replace(/\b(gte|gt|lte|lt)\b/g, (match) => `$${match}`);
+    const { model } = this.query;
+    const filterable = model.filterable || {};
+    const conditions = {};
 
-    this.query = this.query.find(JSON.parse(queryStr));
+    Object.entries(queryObj).forEach(([field, value]) => {
+      if (!Object.prototype.hasOwnProperty.call(filterable, field)) {
+        const hint = `Filterable fields: ${Object.keys(filterable).join(', ')}`;
+        throw new AppError(`Unknown filter field "${field}". ${hint}`, 400, {
+          code: 'INVALID_QUERY',
+        });
+      }
+
+      const allowed = operatorsFor(filterable[field]);
+      const schemaType = model.schema.path(field);
+      conditions[field] = buildCondition(field, value, allowed, schemaType);
+    });
+
+    this.query = this.query.find(conditions);
 
     return this;
   }
 
   sort() {
-    if (this.queryString.sort) {
-      const sortBy = this.queryString.sort.split(',').join(' ');
-      this.query = this.query.sort(sortBy);
-    } else {
-      //default sorting (creation date)
-      this.query = this.query.sort('-createdAt');
+    //default sorting (creation date)
+    const sortBy = this.queryString.sort
+      ? this.queryString.sort.split(',')
+      : ['-createdAt'];
+
+    this.sortFields = sortBy
+      .filter((el) => el)
+      .map((el) => (el.startsWith('-') ? [el.slice(1), -1] : [el, 1]));
+
+    // _id as tie breaker keeps the order stable between pages
+    if (!this.sortFields.some(([field]) => field === '_id')) {
+      const [, lastDir] = this.sortFields[this.sortFields.length - 1] || [];
+      this.sortFields.push(['_id', lastDir || 1]);
     }
+
+    this.query = this.query.sort(Object.fromEntries(this.sortFields));
     return this;
   }
 
   limitFields() {
-    if (this.queryString.fields) {
-      const fields = this.queryString.fields.split(',').join(' ');
-      this.query = this.query.select(fields);
-    } else {
-      this.query = this.query.select('-__v');
-    }
+    this.fields = this.queryString.fields
+      ? this.queryString.fields.split(',')
+      : ['-__v'];
+    this.query = this.query.select(this.fields.join(' '));
 
     return this;
   }
 
+  // options the model's middleware reads (e.g. Tour's includeUnpublished),
+  // they have to apply to the count and the facets too
+  customOptions() {
+    const {
+      limit,
+      skip,
+      sort,
+      projection,
+      populate,
+      ...options
+    } = this.query.getOptions();
+    return options;
+  }
+
+  // Counts for the ?facets=difficulty,price of the model. Every facet honours
+  // the current filters except the one on its own field, so the other
+  // values of a filtered field are still counted.
+  async facets() {
+    const { model } = this.query;
+    const definitions = model.facets || {};
+    const names = `${this.queryString.facets}`.split(',').filter((el) => el);
+
+    names.forEach((name) => {
+      if (!Object.prototype.hasOwnProperty.call(definitions, name)) {
+        const hint = `Available facets: ${Object.keys(definitions).join(', ')}`;
+        throw new AppError(`Unknown facet "${name}". ${hint}`, 400, {
+          code: 'INVALID_QUERY',
+        });
+      }
+    });
+    if (!names.length) return {};
+
+    const filter = this.countFilter || this.query.getFilter();
+    const shared = { ...filter };
+    names.forEach((name) => delete shared[name]);
+
+    const pipelines = {};
+    names.forEach((name) => {
+      const own = {};
+      names
+        .filter((el) => el !== name && filter[el] !== undefined)
+        .forEach((el) => {
+          own[el] = filter[el];
+        });
+      pipelines[name] = [
+        { $match: own },
+        ...facetStages(name, definitions[name]),
+      ];
+    });
+
+    const [results] = await model
+      .aggregate([{ $match: shared }, { $facet: pipelines }])
+      .option(this.customOptions());
+
+    return Object.fromEntries(
+      names.map((name) => [
+        name,
+        formatFacet(definitions[name], results[name], model.schema.path(name)),
+      ]),
+    );
+  }
+
+  // The fields filtering by lists, for hpp's whitelist: their parameters
+  // may be repeated (?difficulty=easy&difficulty=medium).
+  static listFilters(models) {
+    const fields = models.flatMap((Model) =>
+      Object.entries(Model.filterable || {})
+        .filter(([, set]) => operatorsFor(set).includes('in'))
+        .map(([field]) => field),
+    );
+    return [...new Set(fields)];
+  }
+
+  // whole numbers from 1 to the max page size, zero and negative limits
+  // would return everything or fail in the database
+  static pageSize(queryString) {
+    const limit = Math.trunc(queryString.limit * 1) || defaultPageSize();
+    return Math.min(Math.max(limit, 1), maxPageSize());
+  }
+
+  // from 1, and small enough for the skip to stay a safe integer
+  static pageNumber(queryString) {
+    const page = Math.trunc(queryString.page * 1) || 1;
+    const lastPage = Math.floor(Number.MAX_SAFE_INTEGER / maxPageSize());
+    return Math.min(Math.max(page, 1), lastPage);
+  }
+
   paginate() {
-    const page = this.queryString.page * 1 || 1;
-    const limit = this.queryString.limit * 1 || 100;
+    const limit = APIFeatures.pageSize(this.queryString);
+    this.limit = limit;
+    // for the total count, before any cursor condition is added
+    this.countFilter = this.query.getFilter();
+
+    // opt-in keyset pagination: ?pagination=cursor, then ?cursor=...
+    if (this.queryString.cursor || this.queryString.pagination === 'cursor') {
+      return this.paginateByCursor(limit);
+    }
+
+    const page = APIFeatures.pageNumber(this.queryString);
     const skip = (page - 1) * limit;
+    this.page = page;
 
     this.query = this.query.skip(skip).limit(limit);
 
     return this;
   }
+
+  paginateByCursor(limit) {
+    this.mode = 'cursor';
+    this.direction = 'next';
+    this.sortKey = this.sortFields
+      .map(([field, dir]) => `${dir < 0 ? '-' : ''}${field}`)
+      .join(',');
+
+    if (this.queryString.cursor) {
+      const cursor = decodeCursor(this.queryString.cursor);
+      if (
+        !cursor ||
+        cursor.s !== this.sortKey ||
+        !Array.isArray(cursor.v) ||
+        cursor.v.length !== this.sortFields.length
+      ) {
+        throw new AppError(
+          'Invalid cursor. Please start again without a cursor.',
+          400,
+          { code: 'INVALID_QUERY' },
+        );
+      }
+
+      this.direction = cursor.d === 'prev' ? 'prev' : 'next';
+      this.query = this.query.and([this.afterCondition(cursor.v)]);
+
+      // walk backwards from the cursor, the page is reversed again later
+      if (this.direction === 'prev') {
+        this.query = this.query.sort(
+          Object.fromEntries(
+            this.sortFields.map(([field, dir]) => [field, -dir]),
+          ),
+        );
+      }
+    }
+
+    // one extra document tells us if there is another page
+    this.query = this.query.limit(limit + 1);
+
+    // the sort fields are needed to build the cursors, also when ?fields
+    // leaves them out or they are select: false (createdAt). Mongoose only
+    // forces a +path in next to the exclusions of the same select, hence
+    // the whole projection is set again.
+    const sortPaths = this.sortFields
+      .map(([field]) => field)
+      .filter((field) => field !== '_id');
+    const fields = (this.fields || []).filter(
+      (el) => !sortPaths.includes(el.replace(/^[-+]/, '')),
+    );
+    const inclusive = fields.some((el) => !/^[-+]/.test(el));
+    const { schema } = this.query.model;
+    sortPaths.forEach((field) => {
+      const schemaType = schema.path(field);
+      if (inclusive) fields.push(field);
+      else if (schemaType && schemaType.options.select === false) {
+        fields.push(`+${field}`);
+      }
+    });
+    this.query.projection(fields.join(' '));
+
+    return this;
+  }
+
+  // documents strictly after (or before) the cursor values in sort order
+  afterCondition(values) {
+    const forward = this.direction === 'next';
+
+    return {
+      $or: this.sortFields.map(([field, dir], idx) => {
+        const condition = {};
+        this.sortFields.slice(0, idx).forEach(([prevField], prevIdx) => {
+          condition[prevField] = values[prevIdx];
+        });
+        const ascending = forward ? dir === 1 : dir === -1;
+        condition[field] = { [ascending ? '$gt' : '$lt']: values[idx] };
+        return condition;
+      }),
+    };
+  }
+
+  // Runs the query together with the total count of the filtered documents.
+  // Returns { docs, meta }, meta has the page or the cursors of the
+  // neighbouring pages.
+  async execute() {
+    const Model = this.query.model;
+    const [docs, total] = await Promise.all([
+      this.query,
+      Model.countDocuments(
+        this.countFilter || this.query.getFilter(),
+      ).setOptions(this.customOptions()),
+    ]);
+
+    const meta = { total, limit: this.limit };
+
+    if (this.mode !== 'cursor') {
+      meta.page = this.page;
+      meta.totalPages = Math.ceil(total / this.limit);
+      return { docs, meta };
+    }
+
+    const hasMore = docs.length > this.limit;
+    const page = docs.slice(0, this.limit);
+    if (this.direction === 'prev') page.reverse();
+
+    const cursorFor = (doc, direction) =>
+      encodeCursor({
+        s: this.sortKey,
+        v: this.sortFields.map(([field]) => getPath(doc, field)),
+        d: direction,
+      });
+
+    if (page.length) {
+      const hasNext = this.direction === 'next' ? hasMore : true;
+      const hasPrev =
+        this.direction === 'prev' ? hasMore : !!this.queryString.cursor;
+
+      if (hasNext) meta.nextCursor = cursorFor(page[page.length - 1], 'next');
+      if (hasPrev) meta.prevCursor = cursorFor(page[0], 'prev');
+    }
+
+    return { docs: page, meta };
+  }
 }
 
 module.exports = APIFeatures;
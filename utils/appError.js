@@ -1,13 +1,19 @@
+const { codeForStatus } = require('./errorCodes');
+
 class AppError extends Error {
-  constructor(message, statusCode) {
+  // details: the `code` from utils/errorCodes (defaults to the generic one
+  // of the status) and field level `errors`, [{ field, code, message }]
+  constructor(message, statusCode, { code, errors } = {}) {
     super(message);
 
     this.statusCode = statusCode;
     this.status = `${statusCode}`.startsWith('4') ? 'fail' : 'error';
-    //this.isOperational = true;
+    this.code = code || codeForStatus(statusCode);
+    if (errors) this.errors = errors;
+    this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
   }
 }
 
-module.exports = AppError;
\ No newline at end of file
+module.exports = AppError;
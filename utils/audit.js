@@ -0,0 +1,58 @@
+const AuditEvent = require("./../models/auditEventModel");
+const logger = require("./logging");
+
+// never store secrets in the audit log
+const SENSITIVE = /password|token|secret|recoverycode/i;
+
+const toPlain = (doc) => {
+  if (!doc) return undefined;
+
+  const obj = doc.toObject ? doc.toObject({ depopulate: true }) : doc;
+  // ObjectIds and dates to strings, drop undefined
+  const plain = JSON.parse(JSON.stringify(obj));
+
+  Object.keys(plain).forEach((key) => {
+    if (SENSITIVE.test(key) || key === "__v") delete plain[key];
+  });
+  return plain;
+};
+
+const diff = (before = {}, after = {}) => {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changes[key] = { from: before[key], to: after[key] };
+    }
+  });
+  return changes;
+};
+
+exports.diff = diff;
+
+// Records who did what to which document. Failing to write the log must
+// not fail the request itself, so errors are only logged.
+exports.record = async (
+  req,
+  { action, actor, targetModel, targetId, before, after }
+) => {
+  const by = actor || req.user;
+  const plainBefore = toPlain(before);
+  const plainAfter = toPlain(after);
+
+  try {
+    await AuditEvent.create({
+      action,
+      actor: by && by._id,
+      actorRole: by && by.role,
+      targetModel,
+      targetId,
+      before: plainBefore,
+      after: plainAfter,
+      changes: diff(plainBefore, plainAfter),
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  } catch (err) {
+    logger.error("Audit log error", { action, err });
+  }
+};
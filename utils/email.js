@@ -1,11 +1,13 @@
 const nodemailer = require("nodemailer");
 const pug = require("pug");
 const { htmlToText } = require('html-to-text');
-
+const logger = require("./logging").child({ component: "email" });
+const metrics = require("./metrics");
 
 module.exports = class Email {
   constructor(user, url) {
     this.to = user.email;
+    this.userId = user.id;
     this.firstName = user.name.split(" ")[0];
     this.url = url;
     this.from = `${process.env.EMAIL_FROM}`;
@@ -57,13 +59,35 @@ module.exports = class Email {
 
     // 3) create a transport and send the email
     //await this.createTransport().sendMail(mailOptions);
-    await this.newTransport().sendMail(mailOptions);
+    try {
+      await this.newTransport().sendMail(mailOptions);
+    } catch (err) {
+      metrics.emails.inc({ template, outcome: "failure" });
+      logger.error("email failed", { template, userId: this.userId, err });
+      throw err;
+    }
+    metrics.emails.inc({ template, outcome: "success" });
+    logger.info("email sent", { template, userId: this.userId });
   }
 
   async sendWelcome() {
     await this.send("welcome", "Welcome to the Natours family!");
   }
 
+  async sendEmailVerification() {
+    await this.send(
+      "verifyEmail",
+      "Please verify your email address (valid for 24 hours)"
+    );
+  }
+
+  async sendAccountLocked() {
+    await this.send(
+      "accountLocked",
+      "Your account has been locked after too many failed logins"
+    );
+  }
+
   async sendPasswordReset() {
     await this.send(
       "passwordReset",
@@ -0,0 +1,114 @@
+// The stable, machine-readable codes of error responses. Clients should
+// branch on the `code`, messages may be reworded at any time. Codes are
+// only ever added, never renamed or reused.
+const CODES = {
+  // generic ones, the fallback for errors without a more specific code
+  BAD_REQUEST: { status: 400, title: 'Bad request' },
+  UNAUTHENTICATED: { status: 401, title: 'Not authenticated' },
+  PERMISSION_DENIED: { status: 403, title: 'Permission denied' },
+  NOT_FOUND: { status: 404, title: 'Not found' },
+  CONFLICT: { status: 409, title: 'Conflict' },
+  PRECONDITION_FAILED: { status: 412, title: 'Precondition failed' },
+  PAYLOAD_TOO_LARGE: { status: 413, title: 'Payload too large' },
+  UNPROCESSABLE: { status: 422, title: 'Unprocessable request' },
+  LOCKED: { status: 423, title: 'Locked' },
+  RATE_LIMITED: { status: 429, title: 'Too many requests' },
+  INTERNAL_ERROR: { status: 500, title: 'Internal server error' },
+  BAD_GATEWAY: { status: 502, title: 'Bad gateway' },
+
+  // requests
+  ROUTE_NOT_FOUND: { status: 404, title: 'Route not found' },
+  INVALID_JSON: { status: 400, title: 'Malformed JSON body' },
+  VALIDATION_FAILED: { status: 400, title: 'Invalid input data' },
+  INVALID_QUERY: { status: 400, title: 'Invalid query parameters' },
+  INVALID_ID: { status: 400, title: 'Invalid id' },
+  INVALID_VALUE: { status: 400, title: 'Invalid value' },
+  INVALID_GEOMETRY: { status: 400, title: 'Invalid geometry' },
+  DUPLICATE_VALUE: { status: 400, title: 'Duplicate value' },
+  DOCUMENT_CHANGED: { status: 412, title: 'Document changed' },
+  IDEMPOTENCY_KEY_INVALID: { status: 400, title: 'Invalid idempotency key' },
+  IDEMPOTENCY_KEY_IN_USE: {
+    status: 409,
+    title: 'Idempotency key in use',
+  },
+  IDEMPOTENCY_KEY_REUSED: {
+    status: 422,
+    title: 'Idempotency key reused',
+  },
+
+  // authentication
+  AUTH_REQUIRED: { status: 401, title: 'Authentication required' },
+  AUTH_TOKEN_INVALID: { status: 401, title: 'Invalid token' },
+  AUTH_TOKEN_EXPIRED: { status: 401, title: 'Token expired' },
+  AUTH_SESSION_EXPIRED: { status: 401, title: 'Session expired' },
+  AUTH_REFRESH_TOKEN_REUSED: { status: 401, title: 'Refresh token reused' },
+  AUTH_USER_GONE: { status: 401, title: 'User no longer exists' },
+  AUTH_PASSWORD_CHANGED: { status: 401, title: 'Password changed' },
+  AUTH_INVALID_CREDENTIALS: { status: 401, title: 'Invalid credentials' },
+  AUTH_ACCOUNT_LOCKED: { status: 423, title: 'Account locked' },
+  AUTH_2FA_REQUIRED: { status: 403, title: 'Two-factor auth required' },
+  AUTH_2FA_INVALID: { status: 401, title: 'Invalid two-factor code' },
+  EMAIL_NOT_VERIFIED: { status: 403, title: 'Email not verified' },
+  EMAIL_ALREADY_VERIFIED: { status: 400, title: 'Email already verified' },
+  EMAIL_TOKEN_INVALID: { status: 400, title: 'Invalid or expired link' },
+  EMAIL_SEND_FAILED: { status: 500, title: 'Email could not be sent' },
+
+  // documents
+  TOUR_NOT_FOUND: { status: 404, title: 'Tour not found' },
+  USER_NOT_FOUND: { status: 404, title: 'User not found' },
+  REVIEW_NOT_FOUND: { status: 404, title: 'Review not found' },
+  BOOKING_NOT_FOUND: { status: 404, title: 'Booking not found' },
+  REGION_NOT_FOUND: { status: 404, title: 'Region not found' },
+  AUDIT_EVENT_NOT_FOUND: { status: 404, title: 'Audit event not found' },
+  SESSION_NOT_FOUND: { status: 404, title: 'Session not found' },
+  REVISION_NOT_FOUND: { status: 404, title: 'Revision not found' },
+  CALENDAR_FEED_NOT_FOUND: { status: 404, title: 'Calendar feed not found' },
+  TOUR_STATUS_TRANSITION_INVALID: {
+    status: 400,
+    title: 'Status change not allowed',
+  },
+
+  // bookings
+  TOUR_SEATS_UNAVAILABLE: { status: 409, title: 'Not enough seats left' },
+  CHECKOUT_SESSION_NOT_FOUND: {
+    status: 404,
+    title: 'Checkout session not found',
+  },
+  PAYMENT_PROVIDER_ERROR: { status: 502, title: 'Payment provider error' },
+};
+
+// per field, in `errors: [{ field, code, message }]`
+const FIELD_CODES = {
+  required: 'REQUIRED',
+  unknown: 'UNKNOWN_FIELD',
+  denied: 'FIELD_NOT_ALLOWED',
+  type: 'INVALID_TYPE',
+  min: 'TOO_SMALL',
+  max: 'TOO_LARGE',
+  minlength: 'TOO_SHORT',
+  maxlength: 'TOO_LONG',
+  enum: 'NOT_IN_ENUM',
+  match: 'INVALID_FORMAT',
+};
+
+const byStatus = {};
+Object.entries(CODES).forEach(([code, { status }]) => {
+  if (!byStatus[status]) byStatus[status] = code;
+});
+
+exports.CODES = CODES;
+
+// the generic code of a status, e.g. 404 -> NOT_FOUND
+exports.codeForStatus = (status) =>
+  byStatus[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// the field code of a validator kind, mongoose's or our own
+exports.fieldCode = (kind) => FIELD_CODES[kind] || 'INVALID';
+
+// e.g. Tour -> TOUR_NOT_FOUND, AuditEvent -> AUDIT_EVENT_NOT_FOUND
+exports.notFoundCode = (modelName) => {
+  const code = `${modelName
+    .replace(/([a-z])([A-Z])/g, '$1_$2')
+    .toUpperCase()}_NOT_FOUND`;
+  return CODES[code] ? code : 'NOT_FOUND';
+};
@@ -0,0 +1,232 @@
+// GeoJSON helpers for the map endpoints: features, viewport queries and
+// grid clustering. Coordinates are [lng, lat] like everywhere in GeoJSON.
+const CELLS_PER_TILE = 4; // a 256px tile is split in 64px cluster cells
+
+const isPoint = (location) =>
+  !!location &&
+  Array.isArray(location.coordinates) &&
+  location.coordinates.length === 2;
+
+const pointFeature = (coordinates, properties) => ({
+  type: 'Feature',
+  geometry: { type: 'Point', coordinates },
+  properties,
+});
+
+exports.featureCollection = (features, extra) => ({
+  type: 'FeatureCollection',
+  ...extra,
+  features,
+});
+
+// The start location and the stops as points, plus the route through them
+// ordered by day.
+exports.itinerary = (tour) => {
+  const stops = (tour.locations || [])
+    .filter(isPoint)
+    .sort((a, b) => (a.day || 0) - (b.day || 0));
+
+  const features = [];
+  if (isPoint(tour.startLocation)) {
+    const { address, description, coordinates } = tour.startLocation;
+    features.push(
+      pointFeature(coordinates, {
+        kind: 'start',
+        day: 0,
+        address,
+        description,
+      }),
+    );
+  }
+  stops.forEach(({ day, address, description, coordinates }) => {
+    features.push(
+      pointFeature(coordinates, { kind: 'stop', day, address, description }),
+    );
+  });
+
+  if (features.length > 1) {
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'LineString',
+        coordinates: features.map((el) => el.geometry.coordinates),
+      },
+      properties: { kind: 'route' },
+    });
+  }
+
+  return features;
+};
+
+// "minLng,minLat,maxLng,maxLat" -> numbers, null if invalid
+exports.parseBBox = (str) => {
+  const bbox = `${str || ''}`.split(',').map((el) => Number(el));
+  if (bbox.length !== 4 || bbox.some((el) => !Number.isFinite(el))) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const lngOk = [minLng, maxLng].every((el) => el >= -180 && el <= 180);
+  const latOk = [minLat, maxLat].every((el) => el >= -90 && el <= 90);
+  if (!lngOk || !latOk || minLat >= maxLat) return null;
+
+  return bbox;
+};
+
+// Query condition for points inside the viewport, compared by coordinate:
+// the edges of a $geoWithin polygon are great circles, which bulge past the
+// viewport's lines of latitude. Boxes across the antimeridian
+// (minLng > maxLng) match either side of it.
+exports.bboxCondition = (path, [minLng, minLat, maxLng, maxLat]) => {
+  const lng = `${path}.coordinates.0`;
+  const lat = `${path}.coordinates.1`;
+  const condition = { [lat]: { $gte: minLat, $lte: maxLat } };
+
+  if (minLng <= maxLng) {
+    condition[lng] = { $gte: minLng, $lte: maxLng };
+  } else {
+    condition.$or = [{ [lng]: { $gte: minLng } }, { [lng]: { $lte: maxLng } }];
+  }
+  return condition;
+};
+
+// Groups the point features in grid cells sized for the zoom level. Cells
+// with a single point keep the feature, the others become a cluster at the
+// centre of their points.
+exports.cluster = (features, zoom) => {
+  const cellSize = 360 / (2 ** zoom * CELLS_PER_TILE);
+  const cells = new Map();
+
+  features.forEach((feature) => {
+    const [lng, lat] = feature.geometry.coordinates;
+    const key = `${Math.floor(lng / cellSize)}:${Math.floor(lat / cellSize)}`;
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(feature);
+  });
+
+  return [...cells.values()].map((members) => {
+    if (members.length === 1) return members[0];
+
+    const coords = members.map((el) => el.geometry.coordinates);
+    const lngs = coords.map(([lng]) => lng);
+    const lats = coords.map(([, lat]) => lat);
+    const mean = (values) =>
+      values.reduce((sum, el) => sum + el, 0) / values.length;
+
+    return pointFeature([mean(lngs), mean(lats)], {
+      cluster: true,
+      pointCount: members.length,
+      // zoom in to this box to split the cluster
+      bbox: [
+        Math.min(...lngs),
+        Math.min(...lats),
+        Math.max(...lngs),
+        Math.max(...lats),
+      ],
+      tours: members.map((el) => el.properties.id),
+    });
+  });
+};
+
+const MAX_VERTICES = 10000;
+
+const validPosition = (position) =>
+  Array.isArray(position) &&
+  position.length >= 2 &&
+  position.every((el) => typeof el === 'number' && Number.isFinite(el)) &&
+  position[0] >= -180 &&
+  position[0] <= 180 &&
+  position[1] >= -90 &&
+  position[1] <= 90;
+
+// "lat,lng" (the order used in our URLs) -> [lng, lat], null if invalid
+exports.parseLatLng = (str) => {
+  const parts = `${str || ''}`.split(',');
+  if (parts.length !== 2 || parts.some((el) => el.trim() === '')) return null;
+
+  const position = [Number(parts[1]), Number(parts[0])];
+  return validPosition(position) ? position : null;
+};
+
+// Describes what is wrong with a GeoJSON Polygon or MultiPolygon, null if
+// it is fine: closed rings of at least 4 valid positions.
+const polygonError = (geometry) => {
+  if (!geometry || typeof geometry !== 'object') {
+    return 'The polygon must be a GeoJSON Polygon or MultiPolygon';
+  }
+
+  let polygons;
+  if (geometry.type === 'Polygon') polygons = [geometry.coordinates];
+  else if (geometry.type === 'MultiPolygon') polygons = geometry.coordinates;
+  else return 'The polygon must be a GeoJSON Polygon or MultiPolygon';
+
+  if (!Array.isArray(polygons) || !polygons.length) {
+    return 'The polygon has no coordinates';
+  }
+
+  let vertices = 0;
+  for (let i = 0; i < polygons.length; i += 1) {
+    const rings = polygons[i];
+    if (!Array.isArray(rings) || !rings.length) {
+      return 'The polygon has no coordinates';
+    }
+
+    for (let j = 0; j < rings.length; j += 1) {
+      const ring = rings[j];
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return 'Every ring needs at least 4 positions';
+      }
+      if (!ring.every(validPosition)) {
+        return 'Coordinates must be [lng, lat] with lng from -180 to 180 and lat from -90 to 90';
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Every ring must end with its first position';
+      }
+
+      vertices += ring.length;
+      if (vertices > MAX_VERTICES) {
+        return `The polygon can have at most ${MAX_VERTICES} positions`;
+      }
+    }
+  }
+
+  return null;
+};
+
+exports.polygonError = polygonError;
+
+// A GeoJSON geometry as JSON, or the short "lng,lat;lng,lat;..." form for
+// a single ring (closed automatically). Returns { geometry } or { error }.
+exports.parsePolygon = (input) => {
+  let geometry = input;
+
+  if (typeof input === 'string') {
+    const str = input.trim();
+    if (str.startsWith('{')) {
+      try {
+        geometry = JSON.parse(str);
+      } catch (err) {
+        return { error: 'The polygon is not valid JSON' };
+      }
+    } else {
+      const ring = str.split(';').map((el) => el.split(',').map(Number));
+      const [first] = ring;
+      const last = ring[ring.length - 1];
+      if (first && last && (first[0] !== last[0] || first[1] !== last[1])) {
+        ring.push(first);
+      }
+      geometry = { type: 'Polygon', coordinates: [ring] };
+    }
+  }
+
+  // outlines are often exported as a Feature
+  if (geometry && geometry.type === 'Feature') geometry = geometry.geometry;
+
+  const error = polygonError(geometry);
+  return error ? { error } : { geometry };
+};
+
+exports.pointFeature = pointFeature;
@@ -0,0 +1,92 @@
+// Minimal iCalendar (RFC 5545) writer for the departure feeds. Start dates
+// without a time (stored at midnight UTC) are all-day events so they fall on
+// the same day everywhere, other times are written in UTC and calendar apps
+// show them in the subscriber's time zone.
+const DAY = 24 * 60 * 60 * 1000;
+
+// TEXT values escape backslashes, separators and new lines
+const escapeText = (val) =>
+  `${val === undefined || val === null ? '' : val}`
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 20210619T090000Z
+const formatDate = (date) =>
+  new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20210619
+const formatDay = (date) => formatDate(date).slice(0, 8);
+
+const isDateOnly = (date) => date.getTime() % DAY === 0;
+
+// lines longer than 75 octets are folded with CRLF + space
+const fold = (line) => {
+  const parts = [];
+  let current = '';
+  [...line].forEach((char) => {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  });
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// One VEVENT per departure of the tour, as long as its duration.
+// `host` builds the tour page urls and the event uids.
+exports.tourEvents = (tour, dates, host, extra = {}) =>
+  dates.map((date) => {
+    const start = new Date(date);
+    const end = new Date(start.getTime() + (tour.duration || 1) * DAY);
+    const location = tour.startLocation || {};
+    // all-day events end on the day after their last day
+    const allDay = isDateOnly(start);
+    const format = allDay ? formatDay : formatDate;
+    const value = allDay ? ';VALUE=DATE' : '';
+
+    const event = {
+      UID: `${tour._id}-${start.getTime()}@${host.hostname}`,
+      DTSTAMP: formatDate(Date.now()),
+      [`DTSTART${value}`]: format(start),
+      [`DTEND${value}`]: format(end),
+      SUMMARY: escapeText(extra.summary || tour.name),
+      DESCRIPTION: escapeText(
+        [extra.description, tour.summary].filter((el) => el).join('\n\n'),
+      ),
+      URL: `${host.origin}/tour/${tour.slug}`,
+    };
+    if (location.address) event.LOCATION = escapeText(location.address);
+    if (Array.isArray(location.coordinates) && location.coordinates.length) {
+      const [lng, lat] = location.coordinates;
+      event.GEO = `${lat};${lng}`;
+    }
+    return event;
+  });
+
+exports.calendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Natours//Departures//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    // how often subscribed calendars should refresh
+    'REFRESH-INTERVAL;VALUE=DURATION:PT6H',
+    'X-PUBLISHED-TTL:PT6H',
+  ];
+
+  events.forEach((event) => {
+    lines.push('BEGIN:VEVENT');
+    Object.entries(event).forEach(([key, val]) => lines.push(`${key}:${val}`));
+    lines.push('END:VEVENT');
+  });
+  lines.push('END:VCALENDAR');
+
+  return `${lines.map(fold).join('\r\n')}\r\n`;
+};
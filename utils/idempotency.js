@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencyKeyModel');
+const catchAsync = require('./catchAsync');
+const AppError = require('./appError');
+const logger = require('./logging');
+
+const HOUR = 60 * 60 * 1000;
+// a request still processing after this died with its server
+const LOCK_MS = 60 * 1000;
+const REPLAYED_HEADERS = ['etag', 'location'];
+// tokens are never stored, nor replayed: a retry has to log in itself
+const SECRET = /token/i;
+
+const expiresAt = (ms) => new Date(Date.now() + ms);
+
+const ttl = () => (process.env.IDEMPOTENCY_KEY_TTL_HOURS * 1 || 24) * HOUR;
+
+// The body can hold a password (signup), so it's hashed with the server
+// secret.
+const fingerprintOf = (req) =>
+  crypto
+    .createHmac('sha256', process.env.JWT_SECRET)
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body]))
+    .digest('hex');
+
+// Claims the key for this request, or returns the request that already
+// claimed it.
+const claim = async (key, scope, fingerprint) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return {
+        record: await IdempotencyKey.create({
+          key,
+          scope,
+          fingerprint,
+          expiresAt: expiresAt(LOCK_MS),
+        }),
+      };
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+
+    const existing = await IdempotencyKey.findOne({ key, scope });
+    // MongoDB removes expired keys only once a minute
+    if (existing && (!existing.isStale() || attempt >= 2)) {
+      return { existing };
+    }
+    if (existing) await existing.deleteOne();
+  }
+};
+
+const storableResponse = (res, { statusCode, body }) => {
+  const headers = {};
+  REPLAYED_HEADERS.forEach((name) => {
+    if (res.get(name)) headers[name] = res.get(name);
+  });
+
+  const plain = JSON.parse(JSON.stringify(body));
+  if (plain && typeof plain === 'object') {
+    Object.keys(plain).forEach((key) => {
+      if (SECRET.test(key)) delete plain[key];
+    });
+  }
+  return { statusCode, headers, body: plain };
+};
+
+// Keeps the response once it's sent. Server errors and broken connections
+// free the key again, so the client can retry.
+const settle = (record, res, getResponse) => {
+  res.on('close', () => {
+    const response = getResponse();
+    const write =
+      res.writableFinished && response && response.statusCode < 500
+        ? record.updateOne({
+            status: 'done',
+            response: storableResponse(res, response),
+            expiresAt: expiresAt(ttl()),
+          })
+        : record.deleteOne();
+
+    write.catch((err) => logger.error('Idempotency key error', { err }));
+  });
+};
+
+const replayed = (res, { statusCode, headers, body }) => {
+  res.set('Idempotent-Replayed', 'true');
+  res.set(headers || {});
+  res.status(statusCode).json(body);
+};
+
+// Wraps a POST handler: a retry sent with the same Idempotency-Key and the
+// same body gets the first response again instead of creating a duplicate.
+module.exports = (handler) =>
+  catchAsync(async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return handler(req, res, next);
+
+    if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+      return next(
+        new AppError(
+          'Idempotency-Key must be 1 to 255 visible ASCII characters',
+          400,
+          { code: 'IDEMPOTENCY_KEY_INVALID' },
+        ),
+      );
+    }
+
+    const fingerprint = fingerprintOf(req);
+    // Keys of anonymous requests belong to the client's IP. Only a retry
+    // with the same body (with the password of a signup) gets the response,
+    // another body is a reused key.
+    const scope = req.user ? `${req.user._id}` : `anonymous:${req.ip}`;
+    const { record, existing } = await claim(key, scope, fingerprint);
+
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        return next(
+          new AppError(
+            'This Idempotency-Key was already used for a different request',
+            422,
+            { code: 'IDEMPOTENCY_KEY_REUSED' },
+          ),
+        );
+      }
+      if (existing.status === 'processing') {
+        return next(
+          new AppError(
+            'A request with this Idempotency-Key is still being processed',
+            409,
+            { code: 'IDEMPOTENCY_KEY_IN_USE' },
+          ),
+        );
+      }
+      return replayed(res, existing.response);
+    }
+
+    let response;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      response = { statusCode: res.statusCode, body };
+      return json(body);
+    };
+    settle(record, res, () => response);
+
+    handler(req, res, next);
+  });
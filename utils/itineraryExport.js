@@ -0,0 +1,124 @@
+// GPX (GPS devices) and KML (Google Earth) versions of a tour's itinerary.
+// Both are built from the GeoJSON itinerary, so the stops are in day order.
+const { itinerary } = require('./geo');
+
+const escapeXML = (val) =>
+  `${val === undefined || val === null ? '' : val}`
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const waypointName = ({ kind, day, description, address }) =>
+  description || (kind === 'start' ? address || 'Start' : `Day ${day}`);
+
+// the start and the stops as { name, desc, day, lng, lat }
+const waypoints = (tour) =>
+  itinerary(tour)
+    .filter((el) => el.geometry.type === 'Point')
+    .map(({ geometry, properties }) => ({
+      name: waypointName(properties),
+      desc: properties.address,
+      kind: properties.kind,
+      day: properties.day || 0,
+      lng: geometry.coordinates[0],
+      lat: geometry.coordinates[1],
+    }));
+
+// One segment per day, from where the previous day ended to the last stop
+// of the day.
+const daySegments = (points) => {
+  const days = [];
+  points.forEach((point) => {
+    const last = days[days.length - 1];
+    if (last && last.day === point.day) last.points.push(point);
+    else days.push({ day: point.day, points: [point] });
+  });
+
+  return days
+    .map((el, idx) => {
+      const from = idx ? days[idx - 1].points.slice(-1) : [];
+      return { day: el.day, points: [...from, ...el.points] };
+    })
+    .filter((el) => el.points.length > 1);
+};
+
+exports.toGPX = (tour) => {
+  const points = waypoints(tour);
+
+  const wpts = points.map(
+    (el) => `  <wpt lat="${el.lat}" lon="${el.lng}">
+    <name>${escapeXML(el.name)}</name>${
+      el.desc ? `\n    <desc>${escapeXML(el.desc)}</desc>` : ''
+    }
+    <type>${el.kind}</type>
+  </wpt>`,
+  );
+
+  const segments = daySegments(points).map(
+    (segment) => `    <trkseg>
+${segment.points
+  .map((el) => `      <trkpt lat="${el.lat}" lon="${el.lng}"></trkpt>`)
+  .join('\n')}
+    </trkseg>`,
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Natours" xmlns="http://www.topografix.com/GPX/1/1">
+  <metadata>
+    <name>${escapeXML(tour.name)}</name>
+  </metadata>
+${wpts.join('\n')}
+  <trk>
+    <name>${escapeXML(tour.name)}</name>
+${segments.join('\n')}
+  </trk>
+</gpx>
+`;
+};
+
+exports.toKML = (tour) => {
+  const points = waypoints(tour);
+
+  const placemarks = points.map(
+    (el) => `      <Placemark>
+        <name>${escapeXML(el.name)}</name>${
+          el.desc
+            ? `\n        <description>${escapeXML(el.desc)}</description>`
+            : ''
+        }
+        <Point>
+          <coordinates>${el.lng},${el.lat}</coordinates>
+        </Point>
+      </Placemark>`,
+  );
+
+  const routes = daySegments(points).map(
+    (segment) => `      <Placemark>
+        <name>Day ${segment.day}</name>
+        <LineString>
+          <tessellate>1</tessellate>
+          <coordinates>${segment.points
+            .map((el) => `${el.lng},${el.lat}`)
+            .join(' ')}</coordinates>
+        </LineString>
+      </Placemark>`,
+  );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <name>${escapeXML(tour.name)}</name>
+    <Folder>
+      <name>Waypoints</name>
+${placemarks.join('\n')}
+    </Folder>
+    <Folder>
+      <name>Route</name>
+${routes.join('\n')}
+    </Folder>
+  </Document>
+</kml>
+`;
+};
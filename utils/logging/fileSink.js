@@ -0,0 +1,46 @@
+const fs = require("fs");
+const path = require("path");
+
+const MB = 1024 * 1024;
+
+// Appends JSON lines to a file and rotates it by size: app.log becomes
+// app.log.1, app.log.1 becomes app.log.2, ... and the oldest one is
+// dropped. Writes are synchronous, so nothing is lost when the process
+// exits right after logging a crash.
+module.exports = class FileSink {
+  constructor({ file = "logs/app.log", maxSize = 10 * MB, maxFiles = 5 } = {}) {
+    this.file = path.resolve(file);
+    this.maxSize = maxSize;
+    this.maxFiles = maxFiles;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.open();
+  }
+
+  open() {
+    this.fd = fs.openSync(this.file, "a");
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  rotate() {
+    fs.closeSync(this.fd);
+
+    for (let n = this.maxFiles - 1; n >= 1; n -= 1) {
+      const from = n === 1 ? this.file : `${this.file}.${n - 1}`;
+      if (fs.existsSync(from)) fs.renameSync(from, `${this.file}.${n}`);
+    }
+    // with maxFiles 1 there's no backup to keep
+    if (fs.existsSync(this.file)) fs.unlinkSync(this.file);
+
+    this.open();
+  }
+
+  write(line) {
+    const data = `${line}\n`;
+    const bytes = Buffer.byteLength(data);
+    if (this.size > 0 && this.size + bytes > this.maxSize) this.rotate();
+
+    fs.writeSync(this.fd, data);
+    this.size += bytes;
+  }
+};
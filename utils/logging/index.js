@@ -0,0 +1,135 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const StdoutSink = require("./stdoutSink");
+const FileSink = require("./fileSink");
+const { redact, redactUrl } = require("./redact");
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, fatal: 50 };
+
+const sinkFactories = {
+  stdout: () => new StdoutSink(),
+  file: () =>
+    new FileSink({
+      file: process.env.LOG_FILE,
+      maxSize: (process.env.LOG_FILE_MAX_SIZE_MB * 1 || 10) * 1024 * 1024,
+      maxFiles: process.env.LOG_FILE_MAX_FILES * 1 || 5,
+    }),
+};
+
+// the request the current code runs for, see `requestContext`
+const context = new AsyncLocalStorage();
+
+let sinks;
+let minLevel;
+
+// LOG_SINKS (default `stdout`) and LOG_LEVEL (default `debug` in
+// development, `info` otherwise) are read on the first entry, after the
+// config is loaded.
+const getSinks = () => {
+  if (sinks) return sinks;
+
+  sinks = (process.env.LOG_SINKS || "stdout")
+    .split(",")
+    .map((el) => el.trim())
+    .filter(Boolean)
+    .map((name) => {
+      if (!sinkFactories[name]) throw new Error(`Unknown log sink: ${name}`);
+      return sinkFactories[name]();
+    });
+  return sinks;
+};
+
+const getMinLevel = () => {
+  if (minLevel) return minLevel;
+
+  const name =
+    process.env.LOG_LEVEL ||
+    (process.env.NODE_ENV === "development" ? "debug" : "info");
+  minLevel = LEVELS[name] || LEVELS.info;
+  return minLevel;
+};
+
+const write = (level, bindings, msg, fields) => {
+  if (LEVELS[level] < getMinLevel()) return;
+
+  const entry = redact({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...bindings,
+    ...fields,
+  });
+  const line = JSON.stringify(entry);
+
+  getSinks().forEach((sink) => {
+    try {
+      sink.write(line, entry);
+    } catch (err) {
+      // a broken sink must not break the request, nor the other sinks
+      process.stderr.write(`Log sink error: ${err.message}\n`);
+    }
+  });
+};
+
+// `logger.info(msg, fields)`, with `fields.err` for errors. Entries carry
+// the id of the request they were logged for, wherever they are logged.
+const createLogger = (bindings = {}) => {
+  const logger = {
+    child: (more) => createLogger({ ...bindings, ...more }),
+  };
+  Object.keys(LEVELS).forEach((level) => {
+    logger[level] = (msg, fields) => write(level, bindings, msg, fields);
+  });
+  return logger;
+};
+
+const logger = createLogger();
+
+module.exports = logger;
+
+// Runs the rest of the request with its id as log context, and logs the
+// request once the response is sent.
+logger.requestContext = (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const store = { requestId: req.id };
+
+  // events don't always run in the request's context, hence the store
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    let level = "info";
+    if (res.statusCode >= 500) level = "error";
+    else if (res.statusCode >= 400) level = "warn";
+
+    logger[level]("request completed", {
+      ...store,
+      method: req.method,
+      url: redactUrl(req.originalUrl),
+      status: res.statusCode,
+      ...(res.locals.errorCode && { code: res.locals.errorCode }),
+      durationMs: Math.round(durationMs * 10) / 10,
+      bytes: res.get("Content-Length") * 1 || undefined,
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+  });
+
+  context.run(store, next);
+};
+
+// Adds fields to the log context of the current request, e.g. the user
+// once they are authenticated.
+logger.assign = (fields) => {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+// Ships the entries somewhere else too: `sink.write(line, entry)` gets the
+// JSON line and the redacted entry.
+logger.addSink = (sink) => {
+  getSinks().push(sink);
+};
+
+// Lets tests swap in their own sinks.
+logger.setSinks = (newSinks) => {
+  sinks = newSinks;
+};
@@ -0,0 +1,60 @@
+const REDACTED = "[REDACTED]";
+
+// keys whose values never reach the logs, at any depth
+const SECRET_KEY =
+  /pass(word)?|token|secret|authorization|cookie|recovery|totp|^otp$/i;
+// JWTs and bearer tokens inside messages or stack traces
+const SECRET_VALUE = /\bBearer\s+[\w.~+/-]+=*|\beyJ[\w-]*\.[\w-]+\.[\w-]*/g;
+// routes with a token in the path
+const SECRET_PATH = /\/(resetPassword|verifyEmail|calendar)\/[^/?#]+/g;
+const MAX_DEPTH = 8;
+
+const redactString = (str) => str.replace(SECRET_VALUE, REDACTED);
+
+exports.redactUrl = (url) =>
+  redactString(`${url}`.replace(SECRET_PATH, `/$1/${REDACTED}`));
+
+// Errors don't serialize on their own, and their own properties can hold
+// request bodies (body-parser) or whole documents, so only these are kept.
+const serializeError = (err) => ({
+  name: err.name,
+  message: err.message,
+  ...(err.code !== undefined && { code: err.code }),
+  ...(err.statusCode !== undefined && { statusCode: err.statusCode }),
+  stack: err.stack,
+});
+
+const redactValue = (val, depth, seen) => {
+  if (typeof val === "string") return redactString(val);
+  if (val === null || typeof val !== "object") return val;
+  if (val instanceof Date) return val.toISOString();
+  if (val instanceof Error) {
+    return redactValue(serializeError(val), depth, seen);
+  }
+  // ObjectIds, mongoose documents, ...
+  if (typeof val.toJSON === "function") {
+    const json = val.toJSON();
+    if (json !== val) return redactValue(json, depth, seen);
+  }
+
+  if (seen.has(val)) return "[Circular]";
+  if (depth >= MAX_DEPTH) return "[Object]";
+  seen.add(val);
+
+  let copy;
+  if (Array.isArray(val)) {
+    copy = val.map((el) => redactValue(el, depth + 1, seen));
+  } else {
+    copy = {};
+    Object.entries(val).forEach(([key, el]) => {
+      copy[key] = SECRET_KEY.test(key)
+        ? REDACTED
+        : redactValue(el, depth + 1, seen);
+    });
+  }
+  seen.delete(val);
+  return copy;
+};
+
+// A copy of the log fields without passwords, tokens and secrets.
+exports.redact = (fields) => redactValue(fields, 0, new WeakSet());
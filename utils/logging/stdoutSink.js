@@ -0,0 +1,6 @@
+// One JSON line per entry on stdout, for the platform to collect.
+module.exports = class StdoutSink {
+  write(line) {
+    process.stdout.write(`${line}\n`);
+  }
+};
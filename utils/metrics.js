@@ -0,0 +1,274 @@
+const AppError = require("./appError");
+
+// seconds, from a fast index lookup to a slow third party
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+const registry = [];
+
+const escapeLabel = (val) =>
+  `${val}`.replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, val]) => `${name}="${escapeLabel(val)}"`
+  );
+  return pairs.length ? `{${pairs.join(",")}}` : "";
+};
+
+// One series per combination of label values, kept in the order of
+// `labelNames` so the same labels always hit the same series.
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+    registry.push(this);
+  }
+
+  seriesFor(labels = {}, create) {
+    const values = this.labelNames.map((name) =>
+      labels[name] === undefined ? "" : `${labels[name]}`
+    );
+    const key = JSON.stringify(values);
+    if (!this.series.has(key)) {
+      const named = {};
+      this.labelNames.forEach((name, i) => {
+        named[name] = values[i];
+      });
+      this.series.set(key, { labels: named, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  render() {
+    return [
+      `# HELP ${this.name} ${this.help}`,
+      `# TYPE ${this.name} ${this.type}`,
+      ...[...this.series.values()].flatMap((series) => this.lines(series)),
+    ].join("\n");
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super("counter", name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += value;
+  }
+
+  lines({ labels, value }) {
+    return [`${this.name}${formatLabels(labels)} ${value}`];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super("histogram", name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  lines({ labels, counts, sum, count }) {
+    return [
+      ...this.buckets.map(
+        (le, i) =>
+          `${this.name}_bucket${formatLabels({ ...labels, le })} ${counts[i]}`
+      ),
+      `${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`,
+      `${this.name}_sum${formatLabels(labels)} ${sum}`,
+      `${this.name}_count${formatLabels(labels)} ${count}`,
+    ];
+  }
+}
+
+const secondsSince = (start) => Number(process.hrtime.bigint() - start) / 1e9;
+
+exports.httpRequestDuration = new Histogram(
+  "http_request_duration_seconds",
+  "Duration of HTTP requests, by route template",
+  ["method", "route", "status_code"]
+);
+
+exports.httpErrors = new Counter(
+  "http_errors_total",
+  "Error responses, by error code",
+  ["code", "status_code"]
+);
+
+exports.dbQueryDuration = new Histogram(
+  "mongodb_query_duration_seconds",
+  "Duration of Mongoose queries, saves and aggregations",
+  ["model", "operation", "outcome"]
+);
+
+exports.emails = new Counter(
+  "emails_total",
+  "Emails handed to the mail transport, by template and outcome",
+  ["template", "outcome"]
+);
+
+exports.rateLimited = new Counter(
+  "rate_limit_rejections_total",
+  "Requests rejected by a rate limiter",
+  ["limiter"]
+);
+
+// The template of the route a request matched, from the mount path of its
+// router and the route's path, e.g. /api/v1/tours/:tourId/reviews/:id. The
+// values of the mount path's params are put back as their names.
+const routeTemplate = (req) => {
+  const base = Object.entries(req.params).reduce(
+    (url, [name, val]) =>
+      url
+        .split("/")
+        .map((segment) => (segment === val ? `:${name}` : segment))
+        .join("/"),
+    req.baseUrl
+  );
+  const { path } = req.route;
+  return `${base}${path === "/" && base ? "" : path}`;
+};
+
+// Errors leave the routers before they reach the error handler, and the
+// mount path is reset on the way. Mounted right after a router, this keeps
+// the template of the route that failed.
+exports.routeErrors = (err, req, res, next) => {
+  if (!res.locals.route && req.route) res.locals.route = routeTemplate(req);
+  next(err);
+};
+
+// Times every request, by the template of the route that handled it.
+// Requests no route matched share the `unmatched` label.
+exports.requestMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    // responses sent by a route still have its mount path
+    const route = res.locals.route || (req.route && routeTemplate(req));
+    const statusCode = res.statusCode;
+
+    exports.httpRequestDuration.observe(
+      {
+        method: req.method,
+        route: !route || route.endsWith("*") ? "unmatched" : route,
+        status_code: statusCode,
+      },
+      secondsSince(start)
+    );
+    if (res.locals.errorCode) {
+      exports.httpErrors.inc({
+        code: res.locals.errorCode,
+        status_code: statusCode,
+      });
+    }
+  });
+
+  next();
+};
+
+const QUERY_OPS = [
+  "countDocuments",
+  "deleteMany",
+  "deleteOne",
+  "distinct",
+  "estimatedDocumentCount",
+  "find",
+  "findOne",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "findOneAndUpdate",
+  "replaceOne",
+  "updateMany",
+  "updateOne",
+];
+
+// Mongoose plugin timing queries, saves and aggregations of a model.
+exports.queryTimings = (schema) => {
+  const start = function (next) {
+    this.$metricsStart = process.hrtime.bigint();
+    next();
+  };
+
+  const timer = (labelsOf) => {
+    const observe = (ctx, outcome) => {
+      if (!ctx.$metricsStart) return;
+      exports.dbQueryDuration.observe(
+        { ...labelsOf(ctx), outcome },
+        secondsSince(ctx.$metricsStart)
+      );
+      // a later save of the document can fail before it starts the timer
+      ctx.$metricsStart = undefined;
+    };
+    return {
+      done(res, next) {
+        observe(this, "success");
+        next();
+      },
+      // mongoose tells error handlers apart by their three arguments
+      failed(err, res, next) {
+        observe(this, "error");
+        next(err);
+      },
+    };
+  };
+
+  const query = timer((q) => ({ model: q.model.modelName, operation: q.op }));
+  schema.pre(QUERY_OPS, start);
+  schema.post(QUERY_OPS, query.done);
+  schema.post(QUERY_OPS, query.failed);
+
+  const save = timer((doc) => ({
+    model: doc.constructor.modelName,
+    operation: "save",
+  }));
+  schema.pre("save", start);
+  schema.post("save", save.done);
+  schema.post("save", save.failed);
+
+  const aggregate = timer((agg) => ({
+    model: agg.model().modelName,
+    operation: "aggregate",
+  }));
+  schema.pre("aggregate", start);
+  schema.post("aggregate", aggregate.done);
+  schema.post("aggregate", aggregate.failed);
+};
+
+// GET /metrics in the Prometheus text format. With METRICS_TOKEN set,
+// scrapers have to send it as a bearer token, production doesn't serve the
+// metrics without one.
+exports.getMetrics = (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (!token && process.env.NODE_ENV === "production") {
+    return next(
+      new AppError(`Can't find ${req.originalUrl} on this server!`, 404, {
+        code: "ROUTE_NOT_FOUND",
+      })
+    );
+  }
+  if (token && req.get("Authorization") !== `Bearer ${token}`) {
+    return next(new AppError("Invalid metrics token", 401));
+  }
+
+  res
+    .type("text/plain; version=0.0.4; charset=utf-8")
+    .send(`${registry.map((metric) => metric.render()).join("\n\n")}\n`);
+};
@@ -0,0 +1,81 @@
+const crypto = require("crypto");
+const PaymentProvider = require("./paymentProvider");
+
+// expired sessions are forgotten after a day, bookings are settled by then
+const KEEP_EXPIRED_MS = 24 * 60 * 60 * 1000;
+
+// In-process gateway for development and tests: sessions live in memory
+// and stay 'pending' until they are confirmed, declined or expire.
+module.exports = class FakeGateway extends PaymentProvider {
+  constructor() {
+    super("fake");
+    this.sessions = new Map();
+  }
+
+  async createCheckoutSession({
+    price,
+    successUrl,
+    cancelUrl,
+    reference,
+    expiresAt,
+  }) {
+    this.prune();
+    const id = `fake_cs_${crypto.randomBytes(12).toString("hex")}`;
+
+    const session = {
+      id,
+      status: "pending",
+      amount: price,
+      reference,
+      successUrl,
+      cancelUrl,
+      expiresAt,
+      // the "hosted checkout page" is our own fake-gateway route, it shows
+      // the session and where to confirm or decline it
+      url: `/api/v1/bookings/fake-gateway/${id}`,
+    };
+    this.sessions.set(id, session);
+
+    return { id, url: session.url, status: session.status };
+  }
+
+  prune() {
+    const before = Date.now() - KEEP_EXPIRED_MS;
+    this.sessions.forEach((session, id) => {
+      if (session.expiresAt <= before) this.sessions.delete(id);
+    });
+  }
+
+  // like stripe, an expired session is declined
+  expire(session) {
+    if (session.status === "pending" && session.expiresAt <= Date.now()) {
+      session.status = "declined";
+    }
+  }
+
+  async retrieveSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) return null;
+
+    this.expire(session);
+
+    return { id: session.id, status: session.status, amount: session.amount };
+  }
+
+  settle(sessionId, status) {
+    const session = this.sessions.get(sessionId);
+    if (session) this.expire(session);
+    if (!session || session.status !== "pending") return null;
+
+    session.status = status;
+    return { id: session.id, status: session.status, amount: session.amount };
+  }
+
+  confirm(sessionId) {
+    return this.settle(sessionId, "paid");
+  }
+
+  decline(sessionId) {
+    return this.settle(sessionId, "declined");
+  }
+};
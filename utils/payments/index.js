@@ -0,0 +1,37 @@
+const FakeGateway = require("./fakeGateway");
+const StripeProvider = require("./stripeProvider");
+
+const providers = {
+  fake: FakeGateway,
+  stripe: StripeProvider,
+};
+
+let provider;
+
+// providers used when PAYMENT_PROVIDER isn't set
+const DEFAULTS = { production: "stripe", development: "fake", test: "fake" };
+
+// PAYMENT_PROVIDER picks the implementation, production defaults to stripe,
+// development and tests to the in-process fake gateway. Other environments
+// have to set it: the fake gateway lets users mark their bookings paid.
+exports.getPaymentProvider = () => {
+  if (provider) return provider;
+
+  const name = process.env.PAYMENT_PROVIDER || DEFAULTS[process.env.NODE_ENV];
+  if (!name) {
+    throw new Error(
+      `PAYMENT_PROVIDER must be set when NODE_ENV is "${process.env.NODE_ENV || ""}"`
+    );
+  }
+
+  const Provider = providers[name];
+  if (!Provider) throw new Error(`Unknown payment provider: ${name}`);
+
+  provider = new Provider();
+  return provider;
+};
+
+// Lets tests swap in a preconfigured provider.
+exports.setPaymentProvider = (newProvider) => {
+  provider = newProvider;
+};
@@ -0,0 +1,19 @@
+// Every payment provider must implement this interface.
+// Session statuses are normalised to: 'pending', 'paid' or 'declined'.
+module.exports = class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  // { tour, user, price, successUrl, cancelUrl, reference, expiresAt }
+  //   -> { id, url, status }
+  // Sessions still pending at expiresAt are 'declined'.
+  async createCheckoutSession() {
+    throw new Error(`${this.name} provider must implement createCheckoutSession()`);
+  }
+
+  // sessionId -> { id, status, amount }
+  async retrieveSession() {
+    throw new Error(`${this.name} provider must implement retrieveSession()`);
+  }
+};
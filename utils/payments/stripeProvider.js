@@ -0,0 +1,78 @@
+const axios = require("axios");
+const PaymentProvider = require("./paymentProvider");
+
+const STRIPE_API = "https://api.stripe.com/v1";
+const MINUTE = 60 * 1000;
+// stripe only takes expiries 30 minutes to 24 hours after the session is
+// created, the margin covers the time the request takes
+const MIN_EXPIRY = 31 * MINUTE;
+const MAX_EXPIRY = 24 * 60 * MINUTE - MINUTE;
+
+const expiryOf = (expiresAt) => {
+  const now = Date.now();
+  const time = Math.min(
+    Math.max(expiresAt.getTime(), now + MIN_EXPIRY),
+    now + MAX_EXPIRY
+  );
+  // in seconds
+  return `${Math.ceil(time / 1000)}`;
+};
+
+module.exports = class StripeProvider extends PaymentProvider {
+  constructor() {
+    super("stripe");
+    this.client = axios.create({
+      baseURL: STRIPE_API,
+      headers: {
+        Authorization: `Bearer ${process.env.STRIPE_SECRET_KEY}`,
+        "Content-Type": "application/x-www-form-urlencoded",
+      },
+    });
+  }
+
+  async createCheckoutSession({
+    tour,
+    user,
+    price,
+    successUrl,
+    cancelUrl,
+    reference,
+    expiresAt,
+  }) {
+    const params = new URLSearchParams({
+      mode: "payment",
+      success_url: successUrl,
+      cancel_url: cancelUrl,
+      customer_email: user.email,
+      client_reference_id: reference,
+      expires_at: expiryOf(expiresAt),
+      "line_items[0][quantity]": "1",
+      "line_items[0][price_data][currency]": "usd",
+      // stripe expects the amount in cents
+      "line_items[0][price_data][unit_amount]": `${Math.round(price * 100)}`,
+      "line_items[0][price_data][product_data][name]": `${tour.name} Tour`,
+      "line_items[0][price_data][product_data][description]": tour.summary,
+    });
+
+    const { data } = await this.client.post("/checkout/sessions", params);
+
+    return { id: data.id, url: data.url, status: "pending" };
+  }
+
+  async retrieveSession(sessionId) {
+    try {
+      const { data } = await this.client.get(
+        `/checkout/sessions/${encodeURIComponent(sessionId)}`
+      );
+
+      let status = "pending";
+      if (data.payment_status === "paid") status = "paid";
+      else if (data.status === "expired") status = "declined";
+
+      return { id: data.id, status, amount: data.amount_total / 100 };
+    } catch (err) {
+      if (err.response && err.response.status === 404) return null;
+      throw err;
+    }
+  }
+};
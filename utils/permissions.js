@@ -0,0 +1,71 @@
+// Single source of truth for who may do what.
+// Permissions are named `resource:action`, an `:own` suffix limits the
+// action to documents the user owns (see `owners` below).
+const ROLE_PERMISSIONS = {
+  user: ['review:create', 'review:update:own', 'review:delete:own'],
+  guide: ['tour:plan:read', 'tour:preview:own'],
+  'lead-guide': [
+    'tour:plan:read',
+    'tour:preview:own',
+    'tour:create',
+    'tour:update:own',
+    'tour:delete:own',
+    'booking:manage',
+  ],
+  admin: [
+    'tour:plan:read',
+    'tour:preview',
+    'tour:publish',
+    'tour:create',
+    'tour:update',
+    'tour:delete',
+    'review:moderate',
+    'user:manage',
+    'booking:manage',
+    'audit:read',
+    'region:manage',
+  ],
+};
+
+// permissions that grant others
+const IMPLIES = {
+  'review:moderate': ['review:update', 'review:delete'],
+};
+
+const idOf = (ref) => `${(ref && ref._id) || ref}`;
+
+// how to tell if a user owns a document, by resource name
+const owners = {
+  tour: (user, tour) => (tour.guides || []).some((el) => idOf(el) === user.id),
+  review: (user, review) => idOf(review.user) === user.id,
+  booking: (user, booking) => idOf(booking.user) === user.id,
+};
+
+const permissionsFor = (role) => {
+  const granted = new Set(ROLE_PERMISSIONS[role] || []);
+  granted.forEach((permission) => {
+    (IMPLIES[permission] || []).forEach((el) => granted.add(el));
+  });
+  return granted;
+};
+
+exports.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+
+exports.permissionsFor = permissionsFor;
+
+// Route level check: true when the user may perform the action on at
+// least some documents (so either `permission` or `permission:own`).
+exports.hasPermission = (user, permission) => {
+  const granted = permissionsFor(user.role);
+  return granted.has(permission) || granted.has(`${permission}:own`);
+};
+
+// Document level check, use it once the document is loaded.
+exports.can = (user, permission, doc) => {
+  const granted = permissionsFor(user.role);
+  if (granted.has(permission)) return true;
+  if (!granted.has(`${permission}:own`) || !doc) return false;
+
+  const isOwner = owners[permission.split(':')[0]];
+  return !!isOwner && isOwner(user, doc);
+};
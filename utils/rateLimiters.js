@@ -0,0 +1,35 @@
+const rateLimit = require("express-rate-limit");
+const AppError = require("./appError");
+const metrics = require("./metrics");
+
+// Throttles per IP + email, so one client can't hammer a single account
+// and a single account can't be hammered from behind one shared IP. `max`
+// is read per request: this module is required before the config is
+// loaded.
+const byIpAndEmail = ({ name, max, windowMs, message }) =>
+  rateLimit({
+    max,
+    windowMs,
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) =>
+      `${req.ip}:${`${(req.body && req.body.email) || ""}`.toLowerCase()}`,
+    handler: (req, res, next) => {
+      metrics.rateLimited.inc({ limiter: name });
+      next(new AppError(message, 429));
+    },
+  });
+
+exports.loginLimiter = byIpAndEmail({
+  name: "login",
+  max: () => process.env.LOGIN_RATE_LIMIT * 1 || 10,
+  windowMs: 15 * 60 * 1000,
+  message: "Too many login attempts, please try again in 15 minutes!",
+});
+
+exports.forgotPasswordLimiter = byIpAndEmail({
+  name: "forgot_password",
+  max: () => process.env.FORGOT_PASSWORD_RATE_LIMIT * 1 || 3,
+  windowMs: 60 * 60 * 1000,
+  message: "Too many password reset requests, please try again in an hour!",
+});
@@ -0,0 +1,151 @@
+// Helpers for typo tolerant search: tokenizing, edit distance, scoring and
+// highlighted snippets. MongoDB's $text index gives us stemming and
+// weights, these cover the typos it can't.
+const MAX_TERMS = 10;
+
+const normalize = (str) =>
+  `${str || ''}`
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+
+const words = (str) => normalize(str).match(/[\p{L}\p{N}]+/gu) || [];
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHTML = (str) =>
+  str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+exports.escapeRegex = escapeRegex;
+
+exports.tokenize = (query) =>
+  [...new Set(words(query))].filter((el) => el.length > 1).slice(0, MAX_TERMS);
+
+// how many typos we accept for a term
+const maxEdits = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 6) return 1;
+  return 2;
+};
+
+// Levenshtein distance, gives up (returns limit + 1) past `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, idx) => idx);
+  for (let i = 1; i <= a.length; i += 1) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+};
+
+// 1 for an exact match, a bit less for prefixes and typos, 0 for no match
+const matchQuality = (term, word) => {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+
+  const limit = maxEdits(term);
+  if (!limit) return 0;
+
+  const distance = editDistance(term, word, limit);
+  return distance <= limit ? 0.7 - 0.2 * (distance - 1) : 0;
+};
+
+// Regex matching the term with up to one typo (substitution, insertion or
+// deletion) to preselect candidates in MongoDB.
+const fuzzyPattern = (term) => {
+  if (!maxEdits(term)) return escapeRegex(term);
+
+  const variants = [];
+  for (let i = 0; i <= term.length; i += 1) {
+    const head = escapeRegex(term.slice(0, i));
+    // insertion
+    variants.push(`${head}.${escapeRegex(term.slice(i))}`);
+    // substitution and deletion
+    if (i < term.length) {
+      variants.push(`${head}.?${escapeRegex(term.slice(i + 1))}`);
+    }
+  }
+  return variants.join('|');
+};
+
+exports.fuzzyConditions = (terms, fields) =>
+  fields.flatMap((field) =>
+    terms.map((term) => ({
+      [field]: { $regex: fuzzyPattern(term), $options: 'i' },
+    })),
+  );
+
+// sums the best match of every term in every field, times the field weight
+exports.score = (doc, terms, weights) =>
+  Object.entries(weights).reduce((total, [field, weight]) => {
+    const fieldWords = words(doc[field]);
+    const fieldScore = terms.reduce(
+      (sum, term) =>
+        sum +
+        Math.max(0, ...fieldWords.map((word) => matchQuality(term, word))),
+      0,
+    );
+    return total + fieldScore * weight;
+  }, 0);
+
+// Returns { field: snippet } with matching words wrapped in <em></em>,
+// long fields are cut around the first match.
+exports.highlight = (doc, terms, fields, radius = 60) => {
+  const highlights = {};
+
+  fields.forEach((field) => {
+    const text = `${doc[field] || ''}`;
+    const matches = [];
+    const wordRegex = /[\p{L}\p{N}]+/gu;
+    let match = wordRegex.exec(text);
+    while (match) {
+      const word = normalize(match[0]);
+      if (terms.some((term) => matchQuality(term, word) > 0)) {
+        matches.push({
+          start: match.index,
+          end: match.index + match[0].length,
+        });
+      }
+      match = wordRegex.exec(text);
+    }
+    if (!matches.length) return;
+
+    let from = 0;
+    let to = text.length;
+    if (text.length > radius * 2) {
+      from = Math.max(0, matches[0].start - radius);
+      to = Math.min(text.length, matches[0].end + radius);
+    }
+
+    let snippet = '';
+    let pos = from;
+    matches
+      .filter((el) => el.start >= from && el.end <= to)
+      .forEach((el) => {
+        snippet += `${escapeHTML(text.slice(pos, el.start))}<em>${escapeHTML(
+          text.slice(el.start, el.end),
+        )}</em>`;
+        pos = el.end;
+      });
+    snippet += escapeHTML(text.slice(pos, to));
+
+    highlights[field] = `${from > 0 ? '…' : ''}${snippet}${
+      to < text.length ? '…' : ''
+    }`;
+  });
+
+  return highlights;
+};
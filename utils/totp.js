@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238), compatible with
+// Google Authenticator, Authy, 1Password, ...
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP = 30; // seconds
+const DIGITS = 6;
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach((byte) => {
+    bits += byte.toString(2).padStart(8, '0');
+  });
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (str) => {
+  let bits = '';
+  str
+    .replace(/=+$/, '')
+    .toUpperCase()
+    .split('')
+    .forEach((char) => {
+      const idx = ALPHABET.indexOf(char);
+      if (idx === -1) throw new Error('Invalid base32 character');
+      bits += idx.toString(2).padStart(5, '0');
+    });
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP);
+
+const generate = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac('sha1', base32Decode(secret))
+    .update(counter)
+    .digest();
+
+  // dynamic truncation
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return `${code}`.padStart(DIGITS, '0');
+};
+
+exports.generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+exports.generate = generate;
+
+exports.currentStep = currentStep;
+
+// Returns the matching time step (to block replays) or null.
+// `window` allows for some clock drift between server and phone.
+exports.verify = (token, secret, window = 1) => {
+  if (!/^\d{6}$/.test(`${token}`)) return null;
+
+  const now = currentStep();
+  for (let step = now - window; step <= now + window; step += 1) {
+    const expected = generate(secret, step);
+    const match = crypto.timingSafeEqual(
+      Buffer.from(expected),
+      Buffer.from(`${token}`),
+    );
+    if (match) return step;
+  }
+  return null;
+};
+
+exports.keyUri = (accountName, issuer, secret) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: `${DIGITS}`,
+    period: `${STEP}`,
+  });
+
+  return `otpauth://totp/${label}?${params}`;
+};
@@ -0,0 +1,248 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+const { fieldCode } = require('./errorCodes');
+
+// never set by clients, on any model
+const ALWAYS_DENIED = ['_id', '__v'];
+
+const normalize = (path) => path.replace(/\.\d+(?=\.|$)/g, '');
+
+const isPlainObject = (val) =>
+  val !== null && typeof val === 'object' && !Array.isArray(val);
+
+// ObjectId -> id, Number -> number, ...
+const typeName = (schemaType) =>
+  schemaType.instance === 'ObjectId' ? 'id' : schemaType.instance.toLowerCase();
+
+// Builds the input schema of a mongoose schema: a tree of the fields a
+// client may send, with the schema types to check them against. Denied
+// fields stay in the tree so they get a clearer error than unknown ones.
+const buildTree = (schema, { allow, deny }, prefix = '') => {
+  const tree = {};
+
+  Object.entries(schema.paths).forEach(([path, schemaType]) => {
+    const fullPath = `${prefix}${path}`;
+    const allowed =
+      (!allow || allow.some((el) => `${fullPath}.`.startsWith(`${el}.`))) &&
+      !deny.some((el) => `${fullPath}.`.startsWith(`${el}.`));
+
+    const keys = path.split('.');
+    const parent = keys.slice(0, -1).reduce((node, key) => {
+      if (!node[key]) node[key] = { kind: 'object', fields: {} };
+      return node[key].fields;
+    }, tree);
+    const key = keys[keys.length - 1];
+
+    let node;
+    if (!allowed) {
+      node = { kind: 'denied' };
+    } else if (schemaType.schema) {
+      // subdocuments: arrays of them (locations) or a single one
+      const fields = buildTree(
+        schemaType.schema,
+        { allow: undefined, deny },
+        `${fullPath}.`,
+      );
+      node = schemaType.$isMongooseDocumentArray
+        ? { kind: 'array', schemaType, of: { kind: 'object', fields } }
+        : { kind: 'object', schemaType, fields };
+    } else if (schemaType.$isMongooseArray) {
+      node = {
+        kind: 'array',
+        schemaType,
+        of: { kind: 'value', schemaType: schemaType.caster },
+      };
+    } else if (schemaType.instance === 'Mixed') {
+      node = { kind: 'any', schemaType };
+    } else {
+      node = { kind: 'value', schemaType };
+    }
+    parent[key] = node;
+  });
+
+  return tree;
+};
+
+const messageOf = (validator, path, value) => {
+  const props = { ...validator, path, value };
+  if (typeof validator.message === 'function') return validator.message(props);
+  return new mongoose.Error.ValidatorError(props).message;
+};
+
+const isRequired = (node) =>
+  node.schemaType &&
+  node.schemaType.isRequired &&
+  typeof node.schemaType.originalRequiredValue !== 'function' &&
+  node.schemaType.defaultValue === undefined;
+
+// required fields missing on create, nested objects are checked even when
+// they are left out completely
+const checkRequired = (fields, obj, prefix, errors) => {
+  Object.entries(fields).forEach(([key, node]) => {
+    const path = `${prefix}${key}`;
+    const val = obj ? obj[key] : undefined;
+
+    if (node.kind === 'object' && !node.schemaType) {
+      checkRequired(node.fields, val, `${path}.`, errors);
+    } else if (isRequired(node) && (val === undefined || val === null)) {
+      const validator = node.schemaType.validators.find(
+        (el) => el.type === 'required',
+      );
+      errors.push({
+        field: path,
+        code: fieldCode('required'),
+        message: messageOf(validator, path, val),
+      });
+    }
+  });
+};
+
+const checkValue = (node, val, path, container, partial, errors) => {
+  const { schemaType } = node;
+  let value = val;
+  try {
+    if (node.kind === 'value') value = schemaType.cast(val);
+  } catch (err) {
+    errors.push({
+      field: path,
+      code: fieldCode('type'),
+      message: `Must be a valid ${typeName(schemaType)}`,
+    });
+    return;
+  }
+
+  schemaType.validators
+    .filter((el) => el.type !== 'required')
+    // custom validators may need the rest of the document, which partial
+    // updates don't have: mongoose runs those on the update
+    .filter((el) => !(partial && el.type === 'user defined'))
+    .forEach((validator) => {
+      let valid;
+      try {
+        valid = validator.validator.call(container, value);
+      } catch (err) {
+        valid = false;
+      }
+      // like mongoose: undefined counts as valid, and promises (async
+      // validators) are left to mongoose
+      if (valid !== undefined && !valid) {
+        errors.push({
+          field: path,
+          code: fieldCode(validator.type),
+          message: messageOf(validator, path, val),
+        });
+      }
+    });
+};
+
+const checkFields = (fields, obj, prefix, options, errors) => {
+  Object.entries(obj).forEach(([key, val]) => {
+    const path = `${prefix}${key}`;
+    // dotted keys (`startLocation.address`) are resolved like mongoose does
+    const keys = key.split('.');
+    const node = keys.reduce(
+      (parent, el) =>
+        parent && parent.kind === 'object' ? parent.fields[el] : undefined,
+      { kind: 'object', fields },
+    );
+
+    if (!node) {
+      errors.push({
+        field: path,
+        code: fieldCode('unknown'),
+        message: 'Unknown field',
+      });
+    } else if (node.kind === 'denied') {
+      errors.push({
+        field: path,
+        code: fieldCode('denied'),
+        message: 'This field can not be set',
+      });
+    } else if (val !== undefined && val !== null) {
+      checkNode(node, val, path, obj, options, errors);
+    }
+  });
+};
+
+const checkNode = (node, val, path, container, options, errors) => {
+  // mixed values can't be cast, only validated
+  if (node.kind === 'value' || node.kind === 'any') {
+    checkValue(node, val, path, container, options.partial, errors);
+    return;
+  }
+
+  if (node.kind === 'object') {
+    if (!isPlainObject(val)) {
+      errors.push({
+        field: path,
+        code: fieldCode('type'),
+        message: 'Must be an object',
+      });
+      return;
+    }
+    checkFields(node.fields, val, `${path}.`, options, errors);
+    if (node.schemaType && !options.partial) {
+      checkRequired(node.fields, val, `${path}.`, errors);
+    }
+    return;
+  }
+
+  // arrays: like mongoose, take a single value as a list of one and apply
+  // the setters, e.g. tours accept plain dates as start dates
+  let list = Array.isArray(val) ? val : [val];
+  node.schemaType.setters.forEach((setter) => {
+    try {
+      list = setter(list);
+    } catch (err) {
+      // the casting reports the problem
+    }
+  });
+
+  list.forEach((el, idx) => {
+    if (el === undefined || el === null) return;
+    const elPath = `${path}.${idx}`;
+    checkNode(node.of, el, elPath, container, options, errors);
+    // new subdocuments need their required fields, also on updates
+    if (node.of.kind === 'object' && isPlainObject(el)) {
+      checkRequired(node.of.fields, el, `${elPath}.`, errors);
+    }
+  });
+};
+
+// Middleware checking req.body against the input schema derived from a
+// model. `allow` and `deny` list the (dotted) paths a route accepts or
+// refuses, `partial` is for updates: nothing is required then. Every
+// problem is reported at once, as `errors: [{ field, code, message }]`.
+exports.validateBody = (Model, { allow, deny = [], partial = false } = {}) => {
+  const fields = buildTree(Model.schema, {
+    allow,
+    deny: [...ALWAYS_DENIED, ...deny].map(normalize),
+  });
+  const options = { partial };
+
+  return (req, res, next) => {
+    const body = req.body || {};
+    const errors = [];
+
+    if (!isPlainObject(body)) {
+      errors.push({
+        field: '',
+        code: fieldCode('type'),
+        message: 'Must be an object',
+      });
+    } else {
+      checkFields(fields, body, '', options, errors);
+      if (!partial) checkRequired(fields, body, '', errors);
+    }
+
+    if (errors.length) {
+      return next(
+        new AppError('Invalid input data.', 400, {
+          code: 'VALIDATION_FAILED',
+          errors,
+        }),
+      );
+    }
+    next();
+  };
+};
@@ -0,0 +1,45 @@
+// Mongoose only bumps the version key (`__v`) when an array changes. With
+// this plugin every save and update bumps it, so it versions the whole
+// document and can back the ETags of the handler factory.
+exports.plugin = (schema) => {
+  const key = schema.options.versionKey;
+
+  schema.pre('save', function (next) {
+    if (!this.isNew && this.isModified() && !this.isModified(key)) {
+      this.$inc(key, 1);
+    }
+    next();
+  });
+
+  schema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], function (next) {
+    const update = this.getUpdate();
+    // upserts are left alone
+    if (!update || this.getOptions().upsert) return next();
+
+    // aggregation pipeline updates, e.g. the seat counts of tours, get one
+    // more stage
+    if (Array.isArray(update)) {
+      const setsKey = update.some((stage) =>
+        ['$set', '$addFields'].some(
+          (op) => stage[op] && stage[op][key] !== undefined,
+        ),
+      );
+      if (!setsKey) {
+        update.push({
+          $set: { [key]: { $add: [{ $ifNull: [`$${key}`, 0] }, 1] } },
+        });
+      }
+      return next();
+    }
+
+    const touchesKey = Object.entries(update).some(([op, val]) =>
+      op.startsWith('$') ? val && val[key] !== undefined : op === key,
+    );
+    if (!touchesKey) update.$inc = { ...update.$inc, [key]: 1 };
+    next();
+  });
+};
+
+// The version of a document as an ETag. Strong, so it can be compared
+// with If-Match.
+exports.etag = (doc) => `"${doc._id}-${doc.get('__v') || 0}"`;